@@ -8,11 +8,14 @@ const { chromium, firefox, webkit } = require("playwright");
 
 const {
   sleep,
+  runTaskPool,
   makeRunId,
   parseBool,
   toNonEmptyString,
   normalizeBaseUrl,
   normalizeUrl,
+  resolveHostPair,
+  swapHost,
   cacheBustToken,
   appendCacheBust,
   parseHostPatterns,
@@ -23,23 +26,58 @@ const {
   stdDev,
 } = require("../lib/utils");
 
-const { requestText, fetchUrlMetrics, uploadFileS3, defaultS3Region } = require("../lib/http");
+const { HTTP_VERSIONS, createConnectionPool, fetchUrlMetrics, uploadFileS3, defaultS3Region } = require("../lib/http");
 const { withRetries, hasCliArg } = require("../lib/utils");
 const { detectCity } = require("../lib/geo");
 const { runSingle, runImageSingle, runWarmup } = require("../lib/browser");
-const { saveReport, computeImageStats } = require("../lib/report");
+const {
+  csvCell,
+  saveReport,
+  imageTimingRows,
+  saveImageTimings,
+  matrixName,
+  computeImageStats,
+  computeUrlStats,
+  saveUrlsReport,
+  computeBatchStats,
+  saveBatchReport,
+  printBatchSummary,
+  saveRunHtml,
+  saveImageHtml,
+  saveUrlsHtml,
+} = require("../lib/report");
+const { loadScenario, scenarioUrls } = require("../lib/scenario");
+const { loadUrlList, crawlPageImages } = require("../lib/sources");
+const { parseCacheRules } = require("../lib/cache");
+const { parseThrottleProfiles, describeThrottle } = require("../lib/throttle");
+const { resolveDevice } = require("../lib/device");
+const { loadRunCsv, diffRuns, printDiff } = require("../lib/diff");
+const { verifyUrl, saveVerifyReport, printVerifySummary } = require("../lib/verify");
+const {
+  COMPARE_HEADERS,
+  computeCompareSummary,
+  saveCompareReport,
+  saveCompareSummary,
+  formatRequestLine,
+  printRequestHeader,
+  printCompareSummary,
+} = require("../lib/compare");
+const { parseAcceptProfiles, computeFormatSummary, saveFormatSummary, printFormatSummary } = require("../lib/accept");
+const { journalPath, planKey, createJournal, loadJournal } = require("../lib/journal");
+const { RESULT_FORMATS, CONTENT_TYPES, parseFormats, saveResults } = require("../lib/results");
+const {
+  BUDGET_EXIT_CODE,
+  loadBudget,
+  hasBudget,
+  evaluateRunBudget,
+  evaluateImageBudget,
+  evaluateUrlsBudget,
+  printBudget,
+} = require("../lib/budget");
 
 const ENV_FILE = process.env.CDNTEST_ENV_FILE || ".env";
 loadEnvFile(ENV_FILE);
 
-// Constants
-const PAGES = ["page1", "page2", "page3"];
-const VARIANTS = ["origin", "cdn"];
-
-function buildPath(variant, pageId) {
-  return `/cdntest/${pageId}/${variant}/index.html`;
-}
-
 async function loadConfig(configPath) {
   if (!configPath) return {};
   try {
@@ -55,26 +93,25 @@ async function ensureDir(dir) {
   await fs.promises.mkdir(dir, { recursive: true });
 }
 
-function parseUrlList(data) {
-  const urls = [];
-  for (const line of data.split(/\r?\n/)) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith("#")) continue;
-    if (!/^https?:\/\//i.test(trimmed)) {
-      throw new Error(`Invalid URL: ${trimmed}`);
-    }
-    urls.push(trimmed);
-  }
-  if (urls.length === 0) throw new Error("No URLs found in list");
-  return urls;
+function safeFileName(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]+/g, "_");
+}
+
+// URL source option: yargs parses a bare "-" (stdin) as an empty string
+function urlSourceArg(value) {
+  return value === "" ? "-" : toNonEmptyString(value);
 }
 
-async function loadUrlListFromUrl(listUrl, timeoutMs) {
-  if (!/^https?:\/\//i.test(listUrl)) {
-    throw new Error("--urls must be http(s) URL");
+const BROWSERS = ["chromium", "firefox", "webkit"];
+
+// --browser: one name or a comma-separated list (run only)
+function parseBrowsers(value) {
+  const names = String(value || "chromium").split(",").map((e) => e.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (!BROWSERS.includes(name)) throw new Error(`Unknown browser: ${name} (${BROWSERS.join(", ")})`);
   }
-  const data = await requestText(listUrl, timeoutMs);
-  return parseUrlList(data);
+  if (new Set(names).size !== names.length) throw new Error("Duplicate browsers in --browser");
+  return names.length ? names : ["chromium"];
 }
 
 function getBrowserType(browserName) {
@@ -94,27 +131,78 @@ function shuffle(array) {
   return result;
 }
 
-// ============ RUN COMMAND ============
-async function cmdRun(args) {
-  const config = await loadConfig(args.config);
-  const envBaseUrl = toNonEmptyString(process.env.CDNTEST_BASE_URL);
-  const baseUrl = normalizeBaseUrl(
-    hasCliArg("base-url") ? args["base-url"] : envBaseUrl || args["base-url"]
-  );
-  const repeats = Number(args.repeats);
-  const browserName = args.browser;
-  const headless = parseBool(args.headless);
-  const timeoutMs = Number(args["timeout-ms"]) || 60000;
-  const envOutputDir = toNonEmptyString(process.env.CDNTEST_OUTPUT_DIR);
-  const outputDir = hasCliArg("output-dir")
-    ? args["output-dir"]
-    : envOutputDir || args["output-dir"];
-  const delayMs = Number(args["delay-ms"]) || 1000;
-  const scrollDelayMs = Number(args["scroll-delay-ms"]) || 0;
-  const verbose = parseBool(args.verbose);
-  const allowedImageHosts = parseHostPatterns(args["image-hosts"]);
+/**
+ * Flat run order: throttle profile → page → repeat → browser → variants
+ * (browsers and variants shuffled per repeat to avoid bias)
+ */
+function buildRunPlan(scenario, throttleProfiles, browserNames = ["chromium"]) {
+  const plan = [];
+  for (const throttle of throttleProfiles) {
+    for (const page of scenario.pages) {
+      for (let runIndex = 0; runIndex < page.repeats; runIndex++) {
+        for (const browserName of shuffle(browserNames)) {
+          for (const variant of shuffle(scenario.variants)) {
+            plan.push({ throttle, page, runIndex, browserName, variant });
+          }
+        }
+      }
+    }
+  }
+  return plan;
+}
+
+/**
+ * Split the plan into units that run back to back on one worker: all variants of one page
+ * repeat in one browser, so paired variants (origin/cdn) see the same network conditions
+ */
+function planUnits(plan) {
+  const units = [];
+  plan.forEach((step, t) => {
+    const prev = plan[t - 1];
+    if (
+      prev &&
+      prev.throttle === step.throttle &&
+      prev.page === step.page &&
+      prev.runIndex === step.runIndex &&
+      prev.browserName === step.browserName
+    ) {
+      units[units.length - 1].push(t);
+    } else {
+      units.push([t]);
+    }
+  });
+  return units;
+}
+
+/**
+ * Rebuild a journaled plan against the current scenario/throttle options (for --resume)
+ */
+function restoreRunPlan(keys, scenario, throttleProfiles, browserNames) {
+  return keys.map((key) => {
+    const throttle = throttleProfiles.find((p) => p.name === key.throttle);
+    const page = scenario.pages.find((p) => p.id === key.page);
+    const browserName = key.browser || "chromium";
+    if (!throttle || !page || !scenario.variants.includes(key.variant) || !browserNames.includes(browserName)) {
+      throw new Error(
+        `Cannot resume: ${key.page}/${key.variant} (throttle ${key.throttle}, ${browserName}) is not in the current scenario/options`
+      );
+    }
+    return { throttle, page, runIndex: key.run_index, browserName, variant: key.variant };
+  });
+}
+
+/**
+ * Evaluate --budget file + flag thresholds; failed budgets set a distinct exit code
+ */
+async function checkBudget(args, command, flags, evaluate) {
+  const budget = await loadBudget(toNonEmptyString(args.budget), command, flags);
+  if (!hasBudget(budget)) return;
+  const failed = printBudget(evaluate(budget));
+  if (failed > 0) process.exitCode = BUDGET_EXIT_CODE;
+}
 
-  // S3 config
+// S3 target: CLI > env CDNTEST_S3_* > config; null when bucket or credentials are missing
+function resolveS3Config(args, config) {
   const envS3Bucket = toNonEmptyString(process.env.CDNTEST_S3_BUCKET);
   const envS3Prefix = toNonEmptyString(process.env.CDNTEST_S3_PREFIX);
   const envS3Endpoint = toNonEmptyString(process.env.CDNTEST_S3_ENDPOINT);
@@ -139,6 +227,103 @@ async function cmdRun(args) {
   const s3SecretAccessKey = hasCliArg("s3-secret-access-key")
     ? toNonEmptyString(args["s3-secret-access-key"])
     : envS3SecretAccessKey || toNonEmptyString(config.s3_secret_access_key);
+  if (!s3Bucket || !s3AccessKeyId || !s3SecretAccessKey) return null;
+  return {
+    bucket: s3Bucket,
+    prefix: s3Prefix,
+    region: s3Region,
+    endpoint: s3Endpoint,
+    credentials: { accessKeyId: s3AccessKeyId, secretAccessKey: s3SecretAccessKey },
+  };
+}
+
+async function uploadResultFiles(s3, files) {
+  if (!s3) return;
+  for (const file of files) {
+    const fileName = path.basename(file.path);
+    const s3Key = s3.prefix ? `${s3.prefix}/${fileName}` : fileName;
+    try {
+      await withRetries(
+        () => uploadFileS3({
+          bucket: s3.bucket,
+          key: s3Key,
+          region: s3.region,
+          endpoint: s3.endpoint,
+          credentials: s3.credentials,
+          filePath: file.path,
+          contentType: file.contentType,
+          timeoutMs: 30000,
+        }),
+        3,
+        2000,
+        (attempt, total, err) => console.log(`S3 retry ${attempt}/${total}: ${err.message}`)
+      );
+      console.log(`Uploaded: s3://${s3.bucket}/${s3Key}`);
+    } catch (err) {
+      console.error(`S3 upload failed: ${err.message}`);
+    }
+  }
+}
+
+// ============ RUN COMMAND ============
+async function cmdRun(args) {
+  const config = await loadConfig(args.config);
+  const envBaseUrl = toNonEmptyString(process.env.CDNTEST_BASE_URL);
+  const baseUrl = normalizeBaseUrl(
+    hasCliArg("base-url") ? args["base-url"] : envBaseUrl || args["base-url"]
+  );
+  const repeats = Number(args.repeats);
+  const browserNames = parseBrowsers(args.browser);
+  const headless = parseBool(args.headless);
+  const timeoutMs = Number(args["timeout-ms"]) || 60000;
+  const envOutputDir = toNonEmptyString(process.env.CDNTEST_OUTPUT_DIR);
+  const outputDir = hasCliArg("output-dir")
+    ? args["output-dir"]
+    : envOutputDir || args["output-dir"];
+  const delayMs = Number(args["delay-ms"]) || 1000;
+  const scrollDelayMs = Number(args["scroll-delay-ms"]) || 0;
+  const verbose = parseBool(args.verbose);
+  const allowedImageHosts = parseHostPatterns(args["image-hosts"]);
+  const imageTimingsFormat = args["image-timings"];
+  const formats = parseFormats(args.format);
+  const harMode = args.har;
+  const workers = Math.max(1, Math.floor(Number(args.workers)) || 1);
+  const workerIsolation = args["worker-isolation"];
+  const cacheRules = parseCacheRules(config.cache_rules);
+  const throttleProfiles = parseThrottleProfiles(args.throttle, config.throttle_profiles);
+  if (browserNames.some((name) => name !== "chromium") && throttleProfiles.some((p) => p.conditions)) {
+    throw new Error("--throttle requires --browser chromium");
+  }
+  // Device options differ per browser (e.g. no isMobile in firefox)
+  const devices = Object.fromEntries(browserNames.map((name) => [name, resolveDevice(args.device, {
+    customDevices: config.devices,
+    userAgent: toNonEmptyString(args["user-agent"]),
+    browserName: name,
+  })]));
+  const device = devices[browserNames[0]];
+  const contextOptionsFor = (name) => (devices[name] ? devices[name].contextOptions : {});
+  if (verbose && device) console.log(`Device: ${device.name}`);
+
+  // Scenario: pages × variants matrix
+  const scenarioPath = toNonEmptyString(args.scenario) || toNonEmptyString(config.scenario);
+  const scenario = await loadScenario(scenarioPath, {
+    baseUrl,
+    repeats,
+    imageHosts: allowedImageHosts,
+    overrides: {
+      baseUrl: hasCliArg("base-url") ? baseUrl : null,
+      baseline: toNonEmptyString(args.baseline),
+      repeats: hasCliArg("repeats") ? repeats : null,
+      imageHosts: hasCliArg("image-hosts") ? allowedImageHosts : null,
+    },
+  });
+  if (verbose) {
+    console.log(
+      `Scenario: ${scenario.name} (${scenario.pages.length} pages × ${scenario.variants.join("/")}, baseline ${scenario.baseline})`
+    );
+  }
+
+  const s3 = resolveS3Config(args, config);
 
   // Geo detection
   const autoCity = parseBool(args["auto-city"]);
@@ -160,138 +345,368 @@ async function cmdRun(args) {
   }
 
   // Setup output
-  const runId = makeRunId();
+  const resumeId = toNonEmptyString(args.resume);
+  const runId = resumeId || makeRunId();
   await ensureDir(outputDir);
   const csvPath = path.join(outputDir, `${runId}.csv`);
+  const harDir = path.join(outputDir, `${runId}-artifacts`, "har");
+  if (harMode !== "never") await ensureDir(harDir);
 
   const rawRecords = [];
+  const imageTimingRecords = [];
   const discoveredImageUrls = new Set();
   const failedImageUrls = new Set();
+  const trackImageUrls = (imageUrls = [], imageFailedUrls = []) => {
+    for (const imageUrl of imageUrls) {
+      if (!failedImageUrls.has(imageUrl)) {
+        discoveredImageUrls.add(imageUrl);
+      }
+    }
+    for (const failedUrl of imageFailedUrls) {
+      failedImageUrls.add(failedUrl);
+      discoveredImageUrls.delete(failedUrl);
+    }
+  };
+
+  // Journal: every finished run is appended to disk; --resume replays it and skips finished steps
+  let plan;
+  let journal;
+  const finishedSteps = new Set();
+  if (resumeId) {
+    const loaded = await loadJournal(journalPath(outputDir, runId));
+    plan = restoreRunPlan(loaded.header.plan, scenario, throttleProfiles, browserNames);
+    journal = loaded.journal;
+    for (const entry of loaded.entries) {
+      finishedSteps.add(entry.plan_index);
+      rawRecords.push(entry.record);
+      imageTimingRecords.push(...(entry.image_timings || []));
+      trackImageUrls(entry.image_urls, entry.image_failed_urls);
+    }
+    console.log(`Resume ${runId}: ${finishedSteps.size}/${plan.length} runs done`);
+  } else {
+    plan = buildRunPlan(scenario, throttleProfiles, browserNames);
+    journal = await createJournal(journalPath(outputDir, runId), {
+      run_id: runId,
+      started_at: new Date().toISOString(),
+      scenario: scenario.name,
+      plan: plan.map(planKey),
+    });
+  }
+
   const meta = {
     city: declaredCity,
     city_geo: cityGeo,
+    scenario: scenario.name,
+    variants: scenario.variants,
+    baseline: scenario.baseline,
+    groupBy: [
+      ...(browserNames.length > 1 ? ["browser"] : []),
+      ...(throttleProfiles.length > 1 ? ["throttle"] : []),
+    ],
+    browsers: browserNames,
+    device: device ? device.name : "desktop",
+    throttle: throttleProfiles.map((p) => p.name),
+    workers,
+    worker_isolation: workerIsolation,
   };
 
-  // Launch browser
-  const browserType = getBrowserType(browserName);
-  const browser = await browserType.launch({ headless });
+  // Ctrl+C / SIGTERM: finish the current run, then write a partial report; a second signal exits at once
+  let interrupted = null;
+  const onSignal = (signal) => {
+    if (interrupted) {
+      console.error(`\n${signal}: exiting without report, resume with --resume ${runId}`);
+      process.exit(130);
+    }
+    interrupted = signal;
+    console.error(`\n${signal}: stopping after the current run (again to exit now)`);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  // Browsers: per browser name, one shared browser with an isolated context per run,
+  // or one browser process per worker
+  const slots = workerIsolation === "browser" ? workers : 1;
+  const browsers = [];
+  const browserFor = (name, workerId) => browsers.find((b) => b.name === name && b.slot === (workerId - 1) % slots);
+  let failure = null;
+  let loggedThrottle = null;
+
+  const runStep = async (t, workerId) => {
+    const { throttle, page, runIndex, browserName, variant } = plan[t];
+    const { browser, version: browserVersion } = browserFor(browserName, workerId);
+    const pageId = page.id;
+    const url = page.urls[variant];
+    const throttleNote = throttleProfiles.length > 1 ? ` ${throttle.name}` : "";
+    const browserNote = browserNames.length > 1 ? ` ${browserName}` : "";
+    const workerNote = workers > 1 ? `w${workerId} ` : "";
+    const logPrefix = `${workerNote}[${pageId}${throttleNote}${browserNote}] ${variant} #${runIndex + 1}`;
+
+    if (verbose && throttleProfiles.length > 1 && loggedThrottle !== throttle) {
+      loggedThrottle = throttle;
+      console.log(`Throttle: ${describeThrottle(throttle)}`);
+    }
+
+    const harName = [
+      pageId,
+      variant,
+      runIndex + 1,
+      throttleProfiles.length > 1 ? throttle.name : null,
+      browserNames.length > 1 ? browserName : null,
+    ]
+      .filter((part) => part != null)
+      .join("-");
+    let harPath = harMode !== "never" ? path.join(harDir, `${safeFileName(harName)}.har`) : null;
+
+    const runData = await runSingle({
+      browser,
+      browserName,
+      url,
+      scrollDelayMs,
+      allowedImageHosts: page.imageHosts,
+      cacheRules,
+      throttle: throttle.conditions,
+      contextOptions: contextOptionsFor(browserName),
+      harPath,
+      timeoutMs,
+      verbose: false,
+      logPrefix,
+    });
+    const failed = runData.timeout || runData.errorsCount > 0 || runData.navError != null;
+    if (harPath && harMode === "failed" && !failed) {
+      await fs.promises.rm(harPath, { force: true });
+      harPath = null;
+    }
+    trackImageUrls(runData.imageUrls, runData.imageFailedUrls);
+
+    const record = {
+      timestamp_iso: new Date().toISOString(),
+      page_id: pageId,
+      variant,
+      run_index: runIndex,
+      images_loaded_ms: runData.imagesLoadedMs,
+      avg_image_ms: runData.avgImageMs,
+      sum_image_ms: runData.sumImageMs,
+      images_total: runData.imagesTotal,
+      images_loaded: runData.imagesLoaded,
+      images_failed: runData.imagesFailed,
+      images_pending: runData.imagesPending,
+      image_hosts: runData.imageHosts,
+      lcp_ms: runData.lcpMs,
+      fcp_ms: runData.fcpMs,
+      cls: runData.cls,
+      dcl_ms: runData.dclMs,
+      load_ms: runData.loadMs,
+      transfer_bytes: runData.transferBytes,
+      ttfb_ms: runData.ttfbMs,
+      dns_ms: runData.phasesMs.dns,
+      connect_ms: runData.phasesMs.connect,
+      tls_ms: runData.phasesMs.tls,
+      wait_ms: runData.phasesMs.wait,
+      download_ms: runData.phasesMs.download,
+      images_no_tao: runData.imagesNoTao,
+      protocols: runData.protocols,
+      new_connections: runData.newConnections,
+      cache_hits: runData.cache.hits,
+      cache_misses: runData.cache.misses,
+      cache_unknown: runData.cache.unknown,
+      cache_hit_avg_ms: runData.cache.hitAvgMs,
+      cache_miss_avg_ms: runData.cache.missAvgMs,
+      timeout: runData.timeout,
+      timeout_reason: runData.timeoutReason,
+      nav_status: runData.navStatus,
+      nav_error: runData.navError,
+      nav_url: runData.navUrl,
+      errors_count: runData.errorsCount,
+      city: declaredCity,
+      city_geo: cityGeo,
+      scenario: scenario.name,
+      throttle: throttle.name,
+      browser: browserName,
+      browser_version: browserVersion,
+      cache_disable: runData.cacheDisable,
+      device: device ? device.name : "desktop",
+      viewport: runData.viewport ? `${runData.viewport.width}x${runData.viewport.height}` : null,
+      device_pixel_ratio: runData.devicePixelRatio,
+      user_agent: runData.userAgent,
+      har_path: harPath,
+      worker: workerId,
+    };
+    const imageTimings = imageTimingsFormat !== "none" ? imageTimingRows(record, runData.imageTimings) : [];
+    journal.append({
+      plan_index: t,
+      record,
+      image_timings: imageTimings,
+      image_urls: runData.imageUrls,
+      image_failed_urls: runData.imageFailedUrls,
+    });
+    finishedSteps.add(t);
+    rawRecords.push(record);
+    imageTimingRecords.push(...imageTimings);
+
+    if (verbose) {
+      const images = runData.imagesLoadedMs != null ? `${runData.imagesLoadedMs}ms` : "n/a";
+      const avgImg = runData.avgImageMs != null ? `${runData.avgImageMs}ms` : "n/a";
+      const status = runData.timeout ? "TIMEOUT" : "ok";
+      const cache = `hit/miss=${runData.cache.hits}/${runData.cache.misses}`;
+      console.log(`${logPrefix} ${status} images=${images} avg/img=${avgImg} ${cache} errors=${runData.errorsCount}`);
+    }
+  };
+
+  // Each worker takes whole plan units (all variants of one page repeat) and runs them back to back
+  const units = planUnits(plan);
+  let nextUnit = 0;
+  const runWorker = async (workerId) => {
+    while (!interrupted && !failure && nextUnit < units.length) {
+      const unit = units[nextUnit++];
+      for (const t of unit) {
+        if (interrupted || failure) break;
+        if (finishedSteps.has(t)) continue;
+        try {
+          await runStep(t, workerId);
+        } catch (err) {
+          // Browser crash etc.: keep what is journaled and still write a partial report
+          failure = failure || err;
+          console.error(`Run aborted: ${err.message}, writing partial report`);
+          return;
+        }
+        const last = nextUnit >= units.length && t === unit[unit.length - 1];
+        if (delayMs > 0 && !last && !interrupted) await sleep(delayMs);
+      }
+    }
+  };
 
   try {
-    // Build all URLs for warmup
-    const allUrls = [];
-    for (const pageId of PAGES) {
-      for (const variant of VARIANTS) {
-        allUrls.push(baseUrl + buildPath(variant, pageId));
+    for (const name of browserNames) {
+      const browserType = getBrowserType(name);
+      for (let slot = 0; slot < slots; slot++) {
+        const browser = await browserType.launch({ headless, handleSIGINT: false, handleSIGTERM: false });
+        browsers.push({ name, slot, browser, version: browser.version() });
       }
     }
+    meta.browser_versions = Object.fromEntries(browsers.map((b) => [b.name, b.version]));
+    if (verbose) console.log(`Browsers: ${browsers.filter((b) => b.slot === 0).map((b) => `${b.name} ${b.version}`).join(", ")}`);
 
     if (verbose) console.log("Warmup: start");
-    await runWarmup({ browser, browserName, urls: allUrls, warmupRuns: 2, timeoutMs: 15000 });
+    for (const { name, browser } of browsers) {
+      await runWarmup({
+        browser,
+        browserName: name,
+        urls: scenarioUrls(scenario),
+        contextOptions: contextOptionsFor(name),
+        warmupRuns: 2,
+        timeoutMs: 15000,
+      });
+    }
     if (verbose) console.log("Warmup: done\n");
 
     // Main benchmark loop
-    for (const pageId of PAGES) {
-      for (let i = 0; i < repeats; i++) {
-        const variantsOrder = shuffle(VARIANTS);
-
-        for (const variant of variantsOrder) {
-          const url = baseUrl + buildPath(variant, pageId);
-          const logPrefix = `[${pageId}] ${variant} #${i + 1}`;
-
-          const runData = await runSingle({
-            browser,
-            browserName,
-            url,
-            scrollDelayMs,
-            allowedImageHosts,
-            timeoutMs,
-            verbose: false,
-            logPrefix,
-          });
-          if (runData.imageUrls && runData.imageUrls.length > 0) {
-            for (const imageUrl of runData.imageUrls) {
-              if (!failedImageUrls.has(imageUrl)) {
-                discoveredImageUrls.add(imageUrl);
-              }
-            }
-          }
-          if (runData.imageFailedUrls && runData.imageFailedUrls.length > 0) {
-            for (const failedUrl of runData.imageFailedUrls) {
-              failedImageUrls.add(failedUrl);
-              discoveredImageUrls.delete(failedUrl);
-            }
-          }
+    await Promise.all(Array.from({ length: workers }, (_, i) => runWorker(i + 1)));
+  } catch (err) {
+    failure = err;
+    console.error(`Run aborted: ${err.message}, writing partial report`);
+  } finally {
+    process.off("SIGINT", onSignal);
+    process.off("SIGTERM", onSignal);
+    await Promise.all(browsers.map(({ browser }) => browser.close().catch(() => {})));
+  }
 
-          const record = {
-            timestamp_iso: new Date().toISOString(),
-            page_id: pageId,
-            variant,
-            run_index: i,
-            images_loaded_ms: runData.imagesLoadedMs,
-            avg_image_ms: runData.avgImageMs,
-            images_total: runData.imagesTotal,
-            images_failed: runData.imagesFailed,
-            lcp_ms: runData.lcpMs,
-            ttfb_ms: runData.ttfbMs,
-            timeout: runData.timeout,
-            errors_count: runData.errorsCount,
-            city: declaredCity,
-            city_geo: cityGeo,
-          };
-          rawRecords.push(record);
-
-          if (verbose) {
-            const images = runData.imagesLoadedMs != null ? `${runData.imagesLoadedMs}ms` : "n/a";
-            const avgImg = runData.avgImageMs != null ? `${runData.avgImageMs}ms` : "n/a";
-            const status = runData.timeout ? "TIMEOUT" : "ok";
-            console.log(`${logPrefix} ${status} images=${images} avg/img=${avgImg} errors=${runData.errorsCount}`);
-          }
+  if (finishedSteps.size < plan.length) {
+    meta.partial = true;
+    console.log(`\nPartial report: ${finishedSteps.size}/${plan.length} runs, continue with --resume ${runId}`);
+  }
+  if (rawRecords.length === 0) {
+    if (failure) throw failure;
+    console.log("No runs finished, nothing to report");
+    if (interrupted) process.exitCode = 130;
+    return;
+  }
 
-          // Delay between runs (except last)
-          const isLast = pageId === PAGES[PAGES.length - 1] && i === repeats - 1 && variant === variantsOrder[variantsOrder.length - 1];
-          if (!isLast && delayMs > 0) {
-            await sleep(delayMs);
-          }
-        }
-      }
-    }
-  } finally {
-    await browser.close();
+  // Save reports
+  const writeCsv = formats.includes("csv");
+  const summaries = await saveReport({ outputPath: writeCsv ? csvPath : null, records: rawRecords, meta });
+  const resultFiles = writeCsv ? [{ path: csvPath, format: "csv", contentType: CONTENT_TYPES.csv }] : [];
+  resultFiles.push(...await saveResults({
+    basePath: path.join(outputDir, runId),
+    formats,
+    command: "run",
+    runId,
+    meta,
+    records: rawRecords,
+    summary: summaries,
+  }));
+  console.log("");
+  for (const file of resultFiles) console.log(`Saved: ${file.path}`);
+  if (parseBool(args.html)) {
+    const htmlPath = path.join(outputDir, `${runId}.html`);
+    await saveRunHtml({ outputPath: htmlPath, records: rawRecords, summaries, meta });
+    console.log(`Saved: ${htmlPath}`);
   }
+  await checkBudget(args, "run", {
+    min_improvement_pct: args["min-improvement"],
+    max_p90_ms: args["max-p90-ms"],
+    max_lcp_ms: args["max-lcp-ms"],
+    max_errors: args["max-errors"],
+  }, (budget) => evaluateRunBudget(budget, summaries));
 
-  // Save CSV report
-  await saveReport({ outputPath: csvPath, records: rawRecords, meta });
-  console.log(`\nSaved: ${csvPath}`);
+  if (imageTimingsFormat !== "none") {
+    const imagesPath = path.join(outputDir, `${runId}-images.${imageTimingsFormat}`);
+    await saveImageTimings({ outputPath: imagesPath, rows: imageTimingRecords, format: imageTimingsFormat });
+    console.log(`Saved: ${imagesPath}`);
+  }
 
   const urlsPath = path.join(process.cwd(), "urls.txt");
   const urlsList = Array.from(discoveredImageUrls).sort();
   await fs.promises.writeFile(urlsPath, `${urlsList.join("\n")}\n`);
   console.log(`Saved: ${urlsPath}`);
 
-  // Upload to S3
-  if (s3Bucket && s3AccessKeyId && s3SecretAccessKey) {
-    const s3Key = s3Prefix ? `${s3Prefix}/${runId}.csv` : `${runId}.csv`;
-    try {
-      await withRetries(
-        () => uploadFileS3({
-          bucket: s3Bucket,
-          key: s3Key,
-          region: s3Region,
-          endpoint: s3Endpoint,
-          credentials: { accessKeyId: s3AccessKeyId, secretAccessKey: s3SecretAccessKey },
-          filePath: csvPath,
-          contentType: "text/csv",
-          timeoutMs: 30000,
-        }),
-        3,
-        2000,
-        (attempt, total, err) => console.log(`S3 retry ${attempt}/${total}: ${err.message}`)
-      );
-      console.log(`Uploaded: s3://${s3Bucket}/${s3Key}`);
-    } catch (err) {
-      console.error(`S3 upload failed: ${err.message}`);
-    }
-  }
+  await uploadResultFiles(s3, resultFiles);
+
+  if (failure) throw failure;
+  if (interrupted) process.exitCode = 130;
+}
+
+// ============ FORMAT NEGOTIATION (image/urls) ============
+// --origin-cdn: request every URL via both hosts; otherwise a single unnamed target
+function requestTargets(args) {
+  if (!parseBool(args["origin-cdn"])) return [{ name: null, host: null }];
+  const { cdnHost, originHost } = resolveHostPair({ cdnHost: args["cdn-host"], originHost: args["origin-host"] });
+  return [
+    { name: "origin", host: originHost },
+    { name: "cdn", host: cdnHost },
+  ];
+}
+
+// Requests for one repeat of a URL: target × Accept profile, interleaved so all get the same conditions
+function requestMatrix(url, targets, acceptProfiles) {
+  const profiles = acceptProfiles || [null];
+  return targets.flatMap((t) => profiles.map((profile) => ({
+    target: t.name,
+    profile,
+    url: t.host ? swapHost(url, t.host) : url,
+  })));
+}
+
+function matrixLabel(target, profile) {
+  return [target, profile && profile.name].filter(Boolean).map((part) => ` ${part}`).join("");
+}
+
+function matrixMeta(targets, acceptProfiles) {
+  const meta = {};
+  if (acceptProfiles) meta.accept_profiles = Object.fromEntries(acceptProfiles.map((p) => [p.name, p.accept]));
+  if (targets.some((t) => t.name)) meta.targets = Object.fromEntries(targets.map((t) => [t.name, t.host]));
+  return meta;
+}
+
+// Format summary (<runId>-formats.csv) when Accept profiles or origin/CDN targets are in use
+async function saveFormats(outputDir, runId, records, acceptProfiles, targets) {
+  if (!acceptProfiles && !targets.some((t) => t.name)) return null;
+  const profiles = acceptProfiles || [{ name: null, accept: null }];
+  const summary = computeFormatSummary(records, profiles);
+  printFormatSummary(summary);
+  const outputPath = path.join(outputDir, `${runId}-formats.csv`);
+  await saveFormatSummary({ outputPath, summary });
+  console.log(`Saved: ${outputPath}`);
+  return summary;
 }
 
 // ============ IMAGE COMMAND ============
@@ -308,6 +723,15 @@ async function cmdImage(args) {
   const delayMs = Number(args["delay-ms"]) || 0;
   const cacheBust = parseBool(args["cache-bust"]);
   const verbose = parseBool(args.verbose);
+  const formats = parseFormats(args.format);
+  const device = resolveDevice(args.device, {
+    customDevices: config.devices,
+    userAgent: toNonEmptyString(args["user-agent"]),
+    browserName,
+  });
+  const deviceName = device ? device.name : "desktop";
+  const acceptProfiles = parseAcceptProfiles(args.accept, config.accept_profiles);
+  const targets = requestTargets(args);
 
   const configCity = toNonEmptyString(config.city);
   const cliCity = toNonEmptyString(args.city);
@@ -336,28 +760,41 @@ async function cmdImage(args) {
 
   try {
     for (let i = 0; i < repeats; i++) {
-      const requestUrl = cacheBust ? appendCacheBust(imageUrl, cacheBustToken()) : imageUrl;
-      const runData = await runImageSingle({
-        browser,
-        browserName,
-        url: requestUrl,
-        timeoutMs,
-        verbose: false,
-      });
+      for (const { target, profile, url } of requestMatrix(imageUrl, targets, acceptProfiles)) {
+        const requestUrl = cacheBust ? appendCacheBust(url, cacheBustToken()) : url;
+        const contextOptions = device ? { ...device.contextOptions } : {};
+        if (profile) contextOptions.extraHTTPHeaders = { accept: profile.accept };
+        const runData = await runImageSingle({
+          browser,
+          browserName,
+          url: requestUrl,
+          contextOptions,
+          timeoutMs,
+          verbose: false,
+        });
 
-      rawRecords.push({
-        timestamp_iso: new Date().toISOString(),
-        run_index: i,
-        total_ms: runData.totalMs,
-        ttfb_ms: runData.ttfbMs,
-        timeout: runData.timeout,
-        errors_count: runData.errorsCount,
-      });
+        rawRecords.push({
+          timestamp_iso: new Date().toISOString(),
+          run_index: i,
+          target,
+          accept_profile: profile ? profile.name : null,
+          total_ms: runData.totalMs,
+          ttfb_ms: runData.ttfbMs,
+          content_type: runData.contentType,
+          size_bytes: runData.sizeBytes,
+          timeout: runData.timeout,
+          timeout_reason: runData.timeoutReason,
+          nav_status: runData.navStatus,
+          nav_error: runData.navError,
+          nav_url: runData.navUrl,
+          errors_count: runData.errorsCount,
+        });
 
-      if (verbose) {
-        const total = runData.totalMs != null ? `${runData.totalMs}ms` : "n/a";
-        const ttfb = runData.ttfbMs != null ? `${runData.ttfbMs}ms` : "n/a";
-        console.log(`#${i + 1} total=${total} ttfb=${ttfb}`);
+        if (verbose) {
+          const total = runData.totalMs != null ? `${runData.totalMs}ms` : "n/a";
+          const ttfb = runData.ttfbMs != null ? `${runData.ttfbMs}ms` : "n/a";
+          console.log(`#${i + 1}${matrixLabel(target, profile)} total=${total} ttfb=${ttfb}`);
+        }
       }
 
       if (i < repeats - 1 && delayMs > 0) await sleep(delayMs);
@@ -368,35 +805,93 @@ async function cmdImage(args) {
 
   const stats = computeImageStats(rawRecords);
   const cityNote = `city ${declaredCity || "n/a"} geo ${cityGeo || "n/a"}`;
-  console.log(
-    `\nimage total: mean ${formatMs(stats.total_mean_ms)} p50 ${formatMs(stats.total_p50_ms)} p95 ${formatMs(stats.total_p95_ms)} stddev ${formatMs(stats.total_stddev_ms)} (${cityNote})`
-  );
-  console.log(
-    `image ttfb:  mean ${formatMs(stats.ttfb_mean_ms)} p50 ${formatMs(stats.ttfb_p50_ms)} p95 ${formatMs(stats.ttfb_p95_ms)} (${cityNote})`
-  );
+  console.log("");
+  for (const g of stats) {
+    const label = matrixName(g);
+    const prefix = label ? `${label}: ` : "";
+    console.log(
+      `${prefix}image total: mean ${formatMs(g.total_mean_ms)} p50 ${formatMs(g.total_p50_ms)} p95 ${formatMs(g.total_p95_ms)} stddev ${formatMs(g.total_stddev_ms)} (${cityNote})`
+    );
+    console.log(
+      `${prefix}image ttfb:  mean ${formatMs(g.ttfb_mean_ms)} p50 ${formatMs(g.ttfb_p50_ms)} p95 ${formatMs(g.ttfb_p95_ms)} (${cityNote})`
+    );
+  }
 
   // Save simple CSV
-  const header = "run,total_ms,ttfb_ms,errors,city,city_geo";
-  const lines = rawRecords.map(
-    (r, i) =>
-      `${i + 1},${r.total_ms ?? ""},${r.ttfb_ms ?? ""},${r.errors_count},${declaredCity ?? ""},${cityGeo ?? ""}`
-  );
-  const summary = `TOTAL,${stats.total_p50_ms ?? ""},${stats.ttfb_p50_ms ?? ""},${stats.errors},${declaredCity ?? ""},${cityGeo ?? ""}`;
-  await fs.promises.writeFile(csvPath, [header, ...lines, summary].join("\n"));
-  console.log(`Saved: ${csvPath}`);
+  if (formats.includes("csv")) {
+    const header = "run,total_ms,ttfb_ms,errors,city,city_geo,device,target,accept_profile,content_type,size_bytes";
+    const deviceCell = csvCell(deviceName);
+    const cityCells = `${csvCell(declaredCity)},${csvCell(cityGeo)}`;
+    const lines = rawRecords.map(
+      (r) =>
+        `${r.run_index + 1},${r.total_ms ?? ""},${r.ttfb_ms ?? ""},${r.errors_count},${cityCells},${deviceCell},` +
+        [r.target, r.accept_profile, r.content_type, r.size_bytes].map(csvCell).join(",")
+    );
+    // One TOTAL row (p50s, errors) per target × Accept profile
+    const totals = stats.map(
+      (g) =>
+        `TOTAL,${g.total_p50_ms ?? ""},${g.ttfb_p50_ms ?? ""},${g.errors},${cityCells},${deviceCell},` +
+        `${csvCell(g.target)},${csvCell(g.accept_profile)},,`
+    );
+    await fs.promises.writeFile(csvPath, [header, ...lines, ...totals].join("\n"));
+    console.log(`Saved: ${csvPath}`);
+  }
+  const formatSummary = await saveFormats(outputDir, runId, rawRecords, acceptProfiles, targets);
+  const meta = {
+    city: declaredCity,
+    city_geo: cityGeo,
+    url: imageUrl,
+    browser: browserName,
+    device: deviceName,
+    ...matrixMeta(targets, acceptProfiles),
+  };
+  const resultFiles = await saveResults({
+    basePath: path.join(outputDir, runId),
+    formats,
+    command: "image",
+    runId,
+    meta,
+    records: rawRecords,
+    summary: formatSummary ? { groups: stats, formats: formatSummary } : stats[0],
+  });
+  for (const file of resultFiles) console.log(`Saved: ${file.path}`);
+  if (parseBool(args.html)) {
+    const htmlPath = path.join(outputDir, `${runId}.html`);
+    await saveImageHtml({ outputPath: htmlPath, url: imageUrl, records: rawRecords, stats, meta });
+    console.log(`Saved: ${htmlPath}`);
+  }
+
+  await checkBudget(args, "image", {
+    max_p50_ms: args["max-p50-ms"],
+    max_p95_ms: args["max-p95-ms"],
+    max_errors: args["max-errors"],
+  }, (budget) => evaluateImageBudget(budget, stats));
 }
 
 // ============ URLS COMMAND ============
 async function cmdUrls(args) {
   const config = await loadConfig(args.config);
-  const urlsUrl = args.urls;
+  const urlsSource = urlSourceArg(args.urls);
+  const crawlPage = toNonEmptyString(args.crawl);
+  if (!urlsSource && !crawlPage) throw new Error("--urls or --crawl is required");
   const repeats = Number(args.repeats) || 20;
   const timeoutMs = Number(args["timeout-ms"]) || 30000;
-  const urls = await loadUrlListFromUrl(urlsUrl, timeoutMs);
+  const listed = urlsSource ? await loadUrlList(urlsSource, { timeoutMs }) : [];
+  const crawled = crawlPage ? await crawlPageImages(crawlPage, { timeoutMs }) : [];
+  const urls = [...new Set([...listed, ...crawled])];
   const outputDir = args["output-dir"];
   const delayMs = Number(args["delay-ms"]) || 0;
   const cacheBust = parseBool(args["cache-bust"]);
   const verbose = parseBool(args.verbose);
+  const formats = parseFormats(args.format);
+  const cacheRules = parseCacheRules(config.cache_rules);
+  const acceptProfiles = parseAcceptProfiles(args.accept, config.accept_profiles);
+  const targets = requestTargets(args);
+  const connectionMode = args.connection;
+  const httpVersion = String(args["http-version"]);
+  const concurrency = Math.max(1, Math.floor(Number(args.concurrency)) || 1);
+  const perHost = Number(args["per-host"]) > 0 ? Math.floor(Number(args["per-host"])) : Infinity;
+  const burst = parseBool(args.burst);
 
   const configCity = toNonEmptyString(config.city);
   const cliCity = toNonEmptyString(args.city);
@@ -417,59 +912,332 @@ async function cmdUrls(args) {
   const csvPath = path.join(outputDir, `${runId}.csv`);
 
   const rawRecords = [];
+  const batches = [];
+  const connections = createConnectionPool(connectionMode, { httpVersion });
 
-  for (const url of urls) {
-    for (let i = 0; i < repeats; i++) {
-      const requestUrl = cacheBust ? appendCacheBust(url, cacheBustToken()) : url;
-      const result = await fetchUrlMetrics(requestUrl, timeoutMs);
+  try {
+    // Warm: one unmeasured request per host, so measured requests start on an open keep-alive socket
+    if (connectionMode === "warm") {
+      const firstUrlByHost = new Map();
+      for (const url of urls) {
+        for (const { url: targetUrl } of requestMatrix(url, targets, null)) {
+          const host = new URL(targetUrl).host;
+          if (!firstUrlByHost.has(host)) firstUrlByHost.set(host, targetUrl);
+        }
+      }
+      for (const [host, url] of firstUrlByHost) {
+        const primed = await connections.prime(url, timeoutMs);
+        if (verbose) console.log(`Primed ${host}: ${primed.error || primed.statusCode}`);
+      }
+    }
+
+    const measure = async ({ url, runIndex, batch, target, profile, requestUrl: targetUrl }) => {
+      const requestUrl = cacheBust ? appendCacheBust(targetUrl, cacheBustToken()) : targetUrl;
+      const headers = profile ? { accept: profile.accept } : {};
+      const result = await fetchUrlMetrics(requestUrl, timeoutMs, { cacheRules, headers, connections });
 
       rawRecords.push({
         timestamp_iso: new Date().toISOString(),
         url,
-        run_index: i,
+        run_index: runIndex,
+        batch,
+        target,
+        accept_profile: profile ? profile.name : null,
+        request_url: requestUrl,
         total_ms: result.totalMs,
         ttfb_ms: result.ttfbMs,
         status_code: result.statusCode,
+        remote_ip: result.remoteIp,
+        http_version: result.httpVersion,
+        reused_socket: result.reusedSocket,
+        dns_ms: result.dnsMs,
+        connect_ms: result.connectMs,
+        tls_ms: result.tlsMs,
+        download_ms: result.downloadMs,
+        content_type: result.contentType,
+        size_bytes: result.sizeBytes,
+        cache_status: result.cacheStatus,
+        cache_headers: result.cacheHeaders,
+        timeout: result.timeout,
         error: result.error,
       });
 
       if (verbose) {
         const total = result.totalMs != null ? `${result.totalMs}ms` : "n/a";
         const status = result.error ? "ERR" : result.statusCode;
-        console.log(`${url} #${i + 1} ${status} total=${total}`);
+        const type = profile ? ` type=${result.contentType || "n/a"} bytes=${result.sizeBytes}` : "";
+        console.log(
+          `${url} #${runIndex + 1}${matrixLabel(target, profile)} ${status} total=${total} ` +
+          `http/${result.httpVersion || "n/a"} socket=${result.reusedSocket ? "reused" : "new"} cache=${result.cacheStatus || "n/a"}${type}`
+        );
       }
+    };
 
-      if (i < repeats - 1 && delayMs > 0) await sleep(delayMs);
+    // Requests of one repeat of a URL (target × Accept profile), and of one repeat over the list
+    const urlTasks = (url, runIndex, batch = null) => requestMatrix(url, targets, acceptProfiles)
+      .map((m) => ({ ...m, url, requestUrl: m.url, runIndex, batch, host: new URL(m.url).host }));
+    const repeatTasks = (runIndex, batch = null) => urls.flatMap((url) => urlTasks(url, runIndex, batch));
+
+    if (burst) {
+      // Page-like burst: the whole list at once (per-host cap still applies), timed to the last byte
+      for (let i = 0; i < repeats; i++) {
+        const startedAt = performance.now();
+        await runTaskPool(repeatTasks(i, i), { concurrency: Infinity, perHost, runTask: measure });
+        batches.push({ batch: i, ttlbMs: Math.round(performance.now() - startedAt) });
+        if (verbose) console.log(`Batch #${i + 1}: ttlb ${batches[i].ttlbMs}ms`);
+        if (i < repeats - 1 && delayMs > 0) await sleep(delayMs);
+      }
+    } else if (concurrency === 1) {
+      // Sequential, URL by URL; the delay separates repeats, not the requests of one repeat
+      for (const url of urls) {
+        for (let i = 0; i < repeats; i++) {
+          for (const task of urlTasks(url, i)) await measure(task);
+          if (i < repeats - 1 && delayMs > 0) await sleep(delayMs);
+        }
+      }
+    } else {
+      // Parallel goes repeat by repeat so workers spread over URLs
+      const tasks = Array.from({ length: repeats }, (_, i) => repeatTasks(i)).flat();
+      let started = 0;
+      await runTaskPool(tasks, {
+        concurrency,
+        perHost,
+        runTask: async (task) => {
+          started++;
+          await measure(task);
+          if (delayMs > 0 && started < tasks.length) await sleep(delayMs);
+        },
+      });
     }
+  } finally {
+    connections.destroy();
   }
 
-  // Per-URL stats
-  const header = "url,total_mean,total_p50,total_p95,ttfb_mean,ok,errors,city,city_geo";
-  const lines = urls.map((url) => {
-    const entries = rawRecords.filter((r) => r.url === url);
-    const totalValues = entries.map((r) => r.total_ms).filter((v) => v != null);
-    const ttfbValues = entries.map((r) => r.ttfb_ms).filter((v) => v != null);
-    const ok = entries.filter((r) => r.status_code === 200).length;
-    const errors = entries.filter((r) => r.error || (r.status_code && r.status_code >= 400)).length;
-
-    return [
-      `"${url}"`,
-      totalValues.length ? Math.round(mean(totalValues)) : "",
-      totalValues.length ? Math.round(percentile(totalValues, 0.5)) : "",
-      totalValues.length ? Math.round(percentile(totalValues, 0.95)) : "",
-      ttfbValues.length ? Math.round(mean(ttfbValues)) : "",
-      ok,
-      errors,
-      declaredCity ?? "",
-      cityGeo ?? "",
-    ].join(",");
+  const urlStats = computeUrlStats(rawRecords, urls);
+  const formatSummary = await saveFormats(outputDir, runId, rawRecords, acceptProfiles, targets);
+  const meta = {
+    city: declaredCity,
+    city_geo: cityGeo,
+    urls_source: urlsSource,
+    crawl_page: crawlPage,
+    cache_bust: cacheBust,
+    connection: connectionMode,
+    http_version: httpVersion,
+    concurrency: burst ? null : concurrency,
+    per_host: Number.isFinite(perHost) ? perHost : null,
+    burst,
+    ...matrixMeta(targets, acceptProfiles),
+  };
+  console.log("");
+  const batchStats = burst ? computeBatchStats(batches, rawRecords) : null;
+  if (batchStats) printBatchSummary(batchStats);
+  if (formats.includes("csv")) {
+    await saveUrlsReport({ outputPath: csvPath, stats: urlStats, meta });
+    console.log(`Saved: ${csvPath}`);
+    if (batchStats) {
+      const batchesPath = path.join(outputDir, `${runId}-batches.csv`);
+      await saveBatchReport({ outputPath: batchesPath, batches: batchStats, meta });
+      console.log(`Saved: ${batchesPath}`);
+    }
+  }
+  const summary = formatSummary || batchStats
+    ? { urls: urlStats, ...(formatSummary && { formats: formatSummary }), ...(batchStats && { batches: batchStats }) }
+    : urlStats;
+  const resultFiles = await saveResults({
+    basePath: path.join(outputDir, runId),
+    formats,
+    command: "urls",
+    runId,
+    meta,
+    records: rawRecords,
+    summary,
   });
+  for (const file of resultFiles) console.log(`Saved: ${file.path}`);
+  if (parseBool(args.html)) {
+    const htmlPath = path.join(outputDir, `${runId}.html`);
+    await saveUrlsHtml({ outputPath: htmlPath, records: rawRecords, stats: urlStats, meta });
+    console.log(`Saved: ${htmlPath}`);
+  }
 
-  await fs.promises.writeFile(csvPath, [header, ...lines].join("\n"));
-  console.log(`\nSaved: ${csvPath}`);
+  await checkBudget(args, "urls", {
+    max_p50_ms: args["max-p50-ms"],
+    max_p95_ms: args["max-p95-ms"],
+    max_errors: args["max-errors"],
+  }, (budget) => evaluateUrlsBudget(budget, urlStats));
+}
+
+// ============ VERIFY COMMAND ============
+async function cmdVerify(args) {
+  const { cdnHost, originHost } = resolveHostPair({ cdnHost: args["cdn-host"], originHost: args["origin-host"] });
+  const timeoutMs = Number(args["timeout-ms"]) || 30000;
+  const outputDir = args["output-dir"];
+  const verbose = parseBool(args.verbose);
+  const urls = await loadUrlList(urlSourceArg(args.file) || "urls.txt", { timeoutMs });
+  if (verbose) console.log(`Verify ${urls.length} URLs: origin ${originHost} vs cdn ${cdnHost}`);
+
+  const results = [];
+  for (const url of urls) {
+    const result = await verifyUrl(url, { originHost, cdnHost, timeoutMs });
+    results.push(result);
+    if (verbose) {
+      const note = result.mismatches.length ? ` (${result.mismatches.join(", ")})` : "";
+      console.log(`${result.status}${note} ${url}`);
+    }
+  }
+  printVerifySummary(results);
+
+  const runId = makeRunId();
+  await ensureDir(outputDir);
+  const csvPath = path.join(outputDir, `verify-${runId}.csv`);
+  await saveVerifyReport({ outputPath: csvPath, results });
+  console.log(`Saved: ${csvPath}`);
+}
+
+// ============ COMPARE COMMAND ============
+async function cmdCompare(args) {
+  const config = await loadConfig(args.config);
+  const { cdnHost, originHost } = resolveHostPair({ cdnHost: args["cdn-host"], originHost: args["origin-host"] });
+  const envRepeats = toNonEmptyString(process.env.CDNTEST_REPEATS);
+  const repeats = Number(args.repeats ?? (envRepeats || 20));
+  if (!Number.isInteger(repeats) || repeats <= 0) throw new Error(`Invalid repeats: ${args.repeats ?? envRepeats}`);
+  const timeoutMs = Number(args["timeout-ms"]) || 30000;
+  const delayMs = Number(args["delay-ms"]) || 0;
+  const outputDir = args["output-dir"];
+  const verbose = parseBool(args.verbose);
+  const cacheRules = parseCacheRules(config.cache_rules);
+  const httpVersion = String(args["http-version"]);
+
+  // Same as cdn-compare.sh: one random URL from the list unless --url is given
+  let baseUrl = normalizeUrl(args.url);
+  if (!baseUrl) {
+    const urls = await loadUrlList(urlSourceArg(args.urls) || "urls.txt", { timeoutMs });
+    baseUrl = urls[Math.floor(Math.random() * urls.length)];
+  }
+
+  const declaredCity = toNonEmptyString(args.city) || toNonEmptyString(process.env.CDNTEST_CITY) ||
+    toNonEmptyString(config.city) || null;
+  let cityGeo = toNonEmptyString(process.env.CDNTEST_CITY_GEO);
+  if (!cityGeo && parseBool(args["auto-city"])) {
+    const detected = await detectCity(3000);
+    cityGeo = detected.city;
+    if (verbose) {
+      console.log(`Auto geo: ${detected.city || "n/a"}${detected.ip ? ` ip ${detected.ip}` : ""}`);
+    }
+  }
+
+  const runId = makeRunId();
+  await ensureDir(outputDir);
+  const csvPath = path.join(outputDir, `cmp-${runId}.csv`);
+  const summaryPath = path.join(outputDir, `cmp-${runId}-summary.csv`);
+  const targets = [
+    { name: "cdn", url: swapHost(baseUrl, cdnHost) },
+    { name: "origin", url: swapHost(baseUrl, originHost) },
+  ];
+
+  const connections = createConnectionPool("cold", { httpVersion });
+  const records = [];
+  for (const { name, url } of targets) {
+    if (verbose) printRequestHeader(name.toUpperCase(), url, repeats);
+    for (let i = 0; i < repeats; i++) {
+      if (delayMs > 0) await sleep(delayMs);
+      // Fresh connection per request, like a separate curl process
+      const result = await fetchUrlMetrics(url, timeoutMs, { cacheRules, headers: COMPARE_HEADERS, connections });
+      const record = {
+        timestamp: new Date().toISOString(),
+        target: name,
+        request: i + 1,
+        url,
+        status: result.statusCode,
+        remote_ip: result.remoteIp,
+        http_version: result.httpVersion,
+        content_type: result.contentType,
+        size_bytes: result.sizeBytes,
+        dns_ms: result.dnsMs,
+        connect_ms: result.connectMs,
+        tls_ms: result.tlsMs,
+        ttfb_ms: result.ttfbMs,
+        download_ms: result.downloadMs,
+        total_ms: result.totalMs,
+        error: result.error,
+      };
+      records.push(record);
+      if (verbose) console.log(formatRequestLine(record));
+    }
+    if (verbose) console.log("");
+  }
+
+  const summary = computeCompareSummary(records);
+  printCompareSummary(summary);
+
+  const meta = { city: declaredCity, city_geo: cityGeo };
+  console.log("");
+  await saveCompareReport({ outputPath: csvPath, records, meta });
+  console.log(`Saved: ${csvPath}`);
+  await saveCompareSummary({ outputPath: summaryPath, summary, meta });
+  console.log(`Saved: ${summaryPath}`);
+
+  await uploadResultFiles(resolveS3Config(args, config), [
+    { path: csvPath, contentType: CONTENT_TYPES.csv },
+    { path: summaryPath, contentType: CONTENT_TYPES.csv },
+  ]);
+}
+
+// ============ DIFF COMMAND ============
+async function cmdDiff(args) {
+  const before = await loadRunCsv(args.before);
+  const after = await loadRunCsv(args.after);
+  const result = diffRuns(before, after, {
+    metric: args.metric,
+    thresholdPct: Number(args.threshold),
+  });
+  printDiff(result);
+
+  const jsonPath = toNonEmptyString(args.json);
+  if (jsonPath) {
+    const payload = { before: args.before, after: args.after, ...result };
+    await fs.promises.writeFile(jsonPath, `${JSON.stringify(payload, null, 2)}\n`);
+    console.log(`Saved: ${jsonPath}`);
+  }
 }
 
 // ============ CLI DEFINITION ============
+const outputOptions = {
+  format: {
+    type: "string",
+    default: "csv",
+    describe: `Result formats, comma-separated: ${RESULT_FORMATS.join(", ")}`,
+  },
+  html: { type: "boolean", default: true, describe: "Write self-contained HTML report next to the CSV" },
+};
+
+const budgetOption = {
+  budget: { type: "string", describe: "Budget file (JSON/YAML); failed budgets exit with code 3" },
+  "max-errors": { type: "number", describe: "Budget: max errors" },
+};
+
+const s3Options = {
+  "s3-bucket": { type: "string", describe: "S3 bucket for upload" },
+  "s3-prefix": { type: "string", describe: "S3 key prefix" },
+  "s3-region": { type: "string", describe: "S3 region" },
+  "s3-endpoint": { type: "string", describe: "S3 endpoint" },
+  "s3-access-key-id": { type: "string", describe: "S3 access key" },
+  "s3-secret-access-key": { type: "string", describe: "S3 secret key" },
+};
+
+const hostPairOptions = {
+  "cdn-host": { type: "string", describe: "CDN host (default CDNTEST_CDN_HOST)" },
+  "origin-host": { type: "string", describe: "Origin host (default CDNTEST_ORIGIN_HOST)" },
+};
+
+const negotiationOptions = {
+  accept: {
+    type: "string",
+    describe: "Accept profiles, comma-separated: avif+webp, webp, jpeg, all or names from config accept_profiles",
+  },
+  "origin-cdn": { type: "boolean", default: false, describe: "Request every URL via origin and CDN hosts" },
+  ...hostPairOptions,
+};
+
 const commonOptions = {
   config: { type: "string", default: "./bench.config.json", describe: "Path to JSON config" },
   "output-dir": { type: "string", default: "./results", describe: "Output directory" },
@@ -485,18 +1253,46 @@ yargs(hideBin(process.argv))
     (y) => y
       .option("base-url", { type: "string", default: "https://cdntest.wamba.com", describe: "Base URL" })
       .option("repeats", { type: "number", default: 100, describe: "Repeats per variant" })
-      .option("browser", { type: "string", default: "chromium", choices: ["chromium", "firefox", "webkit"] })
+      .option("browser", { type: "string", default: "chromium", describe: "Browser or comma-separated list: chromium,firefox,webkit" })
       .option("headless", { type: "string", default: "true", describe: "Headless mode" })
       .option("timeout-ms", { type: "number", default: 60000, describe: "Timeout per run" })
       .option("delay-ms", { type: "number", default: 1000, describe: "Delay between runs" })
       .option("scroll-delay-ms", { type: "number", default: 0, describe: "Scroll step delay" })
       .option("image-hosts", { type: "string", describe: "Image host allowlist (comma-separated)" })
-      .option("s3-bucket", { type: "string", describe: "S3 bucket for upload" })
-      .option("s3-prefix", { type: "string", describe: "S3 key prefix" })
-      .option("s3-region", { type: "string", describe: "S3 region" })
-      .option("s3-endpoint", { type: "string", describe: "S3 endpoint" })
-      .option("s3-access-key-id", { type: "string", describe: "S3 access key" })
-      .option("s3-secret-access-key", { type: "string", describe: "S3 secret key" })
+      .option("image-timings", {
+        type: "string",
+        default: "none",
+        choices: ["none", "csv", "ndjson"],
+        describe: "Per-image timings export (one row per run/variant/image)",
+      })
+      .option("device", { type: "string", describe: "Device: Playwright name (\"iPhone 13\") or <w>x<h>[@dpr][:mobile]" })
+      .option("user-agent", { type: "string", describe: "Override user agent" })
+      .option("throttle", {
+        type: "string",
+        default: "none",
+        describe: "Throttle profiles, comma-separated: none, slow-3g, fast-3g, 4g, cable, <latencyMs>:<downKbps>:<upKbps> (chromium)",
+      })
+      .option("har", {
+        type: "string",
+        default: "never",
+        choices: ["never", "always", "failed"],
+        describe: "Record HAR per run (failed = only failed/timeout runs)",
+      })
+      .option("scenario", { type: "string", describe: "Scenario file (JSON/YAML) with pages and variant URLs" })
+      .option("baseline", { type: "string", describe: "Baseline variant for improvement (default: origin)" })
+      .option("min-improvement", { type: "number", describe: "Budget: min median improvement vs baseline, %" })
+      .option("max-p90-ms", { type: "number", describe: "Budget: max p90 images_ms of non-baseline variants" })
+      .option("max-lcp-ms", { type: "number", describe: "Budget: max median LCP of non-baseline variants" })
+      .options(outputOptions)
+      .options(budgetOption)
+      .option("workers", { type: "number", default: 1, describe: "Parallel workers (runs at once)" })
+      .option("worker-isolation", {
+        choices: ["context", "browser"],
+        default: "context",
+        describe: "Worker isolation: browser context in a shared browser, or a browser process per worker",
+      })
+      .option("resume", { type: "string", describe: "Continue an interrupted run by its runId (from the journal in output-dir)" })
+      .options(s3Options)
       .options(commonOptions)
       .positional("city", { type: "string", describe: "Meta: city (positional)" }),
     cmdRun
@@ -512,6 +1308,13 @@ yargs(hideBin(process.argv))
       .option("timeout-ms", { type: "number", default: 30000 })
       .option("delay-ms", { type: "number", default: 0 })
       .option("cache-bust", { type: "boolean", default: false, describe: "Append nocache param (disables CDN cache)" })
+      .option("device", { type: "string", describe: "Device: Playwright name (\"iPhone 13\") or <w>x<h>[@dpr][:mobile]" })
+      .option("user-agent", { type: "string", describe: "Override user agent" })
+      .option("max-p50-ms", { type: "number", describe: "Budget: max p50 total" })
+      .option("max-p95-ms", { type: "number", describe: "Budget: max p95 total" })
+      .options(negotiationOptions)
+      .options(outputOptions)
+      .options(budgetOption)
       .options(commonOptions)
       .positional("city", { type: "string", describe: "Meta: city (positional)" }),
     cmdImage
@@ -520,15 +1323,85 @@ yargs(hideBin(process.argv))
     "urls [city]",
     "Benchmark list of URLs",
     (y) => y
-      .option("urls", { type: "string", demandOption: true, describe: "HTTP URL to text file with URLs" })
+      .option("urls", {
+        type: "string",
+        describe: "URL list or sitemap: http(s) URL, local file (e.g. urls.txt from run) or - for stdin",
+      })
+      .option("crawl", { type: "string", describe: "Page URL: benchmark its <img>/srcset images" })
       .option("repeats", { type: "number", default: 100 })
       .option("timeout-ms", { type: "number", default: 30000 })
       .option("delay-ms", { type: "number", default: 0 })
       .option("cache-bust", { type: "boolean", default: false, describe: "Append nocache param (disables CDN cache)" })
+      .option("connection", {
+        choices: ["cold", "warm"],
+        default: "cold",
+        describe: "cold: new TCP/TLS connection per request; warm: primed keep-alive connection per host",
+      })
+      .option("concurrency", { type: "number", default: 1, describe: "Requests in flight at once" })
+      .option("per-host", { type: "number", describe: "Max requests in flight per host (browsers: 6 over HTTP/1.1)" })
+      .option("burst", {
+        type: "boolean",
+        default: false,
+        describe: "Page-like burst: each repeat fires the whole list at once and measures batch time to last byte",
+      })
+      .option("http-version", {
+        type: "string",
+        choices: HTTP_VERSIONS,
+        default: "1.1",
+        describe: "HTTP/1.1, HTTP/2 (h2 via ALPN, h2c for http://) or auto (h2 if the server offers it)",
+      })
+      .option("max-p50-ms", { type: "number", describe: "Budget: max p50 total per URL" })
+      .option("max-p95-ms", { type: "number", describe: "Budget: max p95 total per URL" })
+      .options(negotiationOptions)
+      .options(outputOptions)
+      .options(budgetOption)
       .options(commonOptions)
       .positional("city", { type: "string", describe: "Meta: city (positional)" }),
     cmdUrls
   )
+  .command(
+    "verify [file]",
+    "Check that CDN serves the same images as origin",
+    (y) => y
+      .positional("file", { type: "string", default: "urls.txt", describe: "URL list or sitemap (file, http(s) URL or -), e.g. urls.txt from run" })
+      .options(hostPairOptions)
+      .option("timeout-ms", { type: "number", default: 30000 })
+      .option("output-dir", commonOptions["output-dir"])
+      .option("verbose", commonOptions.verbose),
+    cmdVerify
+  )
+  .command(
+    "compare [city] [repeats]",
+    "Compare origin and CDN for one URL over HTTP (native cdn-compare.sh)",
+    (y) => y
+      .positional("repeats", { type: "number", describe: "Requests per host (default CDNTEST_REPEATS or 20)" })
+      .option("urls", { type: "string", default: "urls.txt", describe: "URL list or sitemap (file, http(s) URL or -); one URL is picked at random" })
+      .option("url", { type: "string", describe: "Compare this URL instead of a random one from --urls" })
+      .option("timeout-ms", { type: "number", default: 30000 })
+      .option("delay-ms", { type: "number", default: 2000, describe: "Delay before each request" })
+      .option("http-version", {
+        type: "string",
+        choices: HTTP_VERSIONS,
+        default: "auto",
+        describe: "HTTP/1.1, HTTP/2 or auto (h2 if the server offers it, like curl --http2)",
+      })
+      .options(hostPairOptions)
+      .options(s3Options)
+      .options(commonOptions)
+      .positional("city", { type: "string", describe: "Meta: city (positional, default CDNTEST_CITY)" }),
+    cmdCompare
+  )
+  .command(
+    "diff <before> <after>",
+    "Compare two run CSVs and detect regressions",
+    (y) => y
+      .positional("before", { type: "string", describe: "Baseline run CSV" })
+      .positional("after", { type: "string", describe: "New run CSV" })
+      .option("metric", { type: "string", default: "images_ms", describe: "Per-run column to compare" })
+      .option("threshold", { type: "number", default: 10, describe: "Regression threshold, % of median" })
+      .option("json", { type: "string", describe: "Write diff result as JSON" }),
+    cmdDiff
+  )
   .demandCommand(1)
   .strict()
   .help()
@@ -0,0 +1,127 @@
+/**
+ * Image format negotiation: Accept header profiles and per-format summary (bytes, latency, origin vs CDN)
+ */
+
+const fs = require("fs");
+const { median, percentile, improvement, formatMs, formatPercent } = require("./utils");
+const { csvCell } = require("./report");
+
+// Accept values close to what browsers send for <img>
+const ACCEPT_PROFILES = {
+  "avif+webp": "image/avif,image/webp,image/apng,image/*,*/*;q=0.8",
+  webp: "image/webp,image/*,*/*;q=0.8",
+  jpeg: "image/jpeg,image/png,image/gif;q=0.9,*/*;q=0.5",
+};
+
+/**
+ * Parse a comma-separated list of profiles: built-in names, names from config `accept_profiles`
+ * ({ name: "<Accept value>" }) or "all". Empty value means no Accept variation (null).
+ */
+function parseAcceptProfiles(value, customProfiles = {}) {
+  const names = String(value || "").split(",").map((e) => e.trim()).filter(Boolean);
+  if (names.length === 0) return null;
+  const all = { ...ACCEPT_PROFILES, ...(customProfiles || {}) };
+  const expanded = names.flatMap((name) => (name === "all" ? Object.keys(all) : [name]));
+  return [...new Set(expanded)].map((name) => {
+    if (!all[name]) throw new Error(`Unknown accept profile: ${name} (known: ${Object.keys(all).join(", ")})`);
+    return { name, accept: all[name] };
+  });
+}
+
+function typeMix(records) {
+  const counts = {};
+  for (const r of records) {
+    const type = r.content_type || "n/a";
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return counts;
+}
+
+function formatTypeMix(counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([type, count]) => `${type}=${count}`).join(";");
+}
+
+/**
+ * Per target (origin/cdn/-) × Accept profile: returned content types, median bytes, latency.
+ * Byte savings are relative to the reference profile ("jpeg" when requested, else the last one)
+ * of the same target; cdn rows also get latency/bytes change against origin with the same profile.
+ */
+function computeFormatSummary(records, profiles) {
+  const profileNames = profiles.map((p) => p.name);
+  const reference = profileNames.includes("jpeg") ? "jpeg" : profileNames[profileNames.length - 1];
+  const targets = [...new Set(records.map((r) => r.target ?? null))];
+  const values = (entries, field) => entries.map((r) => r[field]).filter((v) => v != null);
+
+  const rows = [];
+  for (const target of targets) {
+    for (const profile of profileNames) {
+      const entries = records.filter((r) => (r.target ?? null) === target && r.accept_profile === profile);
+      const bytes = values(entries, "size_bytes");
+      const totals = values(entries, "total_ms");
+      rows.push({
+        target,
+        profile,
+        requests: entries.length,
+        contentTypes: typeMix(entries),
+        bytesMedian: bytes.length ? Math.round(median(bytes)) : null,
+        totalP50: totals.length ? Math.round(percentile(totals, 0.5)) : null,
+        totalP95: totals.length ? Math.round(percentile(totals, 0.95)) : null,
+        ttfbP50: values(entries, "ttfb_ms").length ? Math.round(percentile(values(entries, "ttfb_ms"), 0.5)) : null,
+      });
+    }
+  }
+
+  for (const row of rows) {
+    const ref = rows.find((r) => r.target === row.target && r.profile === reference);
+    row.bytesSavingPct = ref && row !== ref ? improvement(ref.bytesMedian, row.bytesMedian) : null;
+    const origin = row.target === "cdn" ? rows.find((r) => r.target === "origin" && r.profile === row.profile) : null;
+    row.cdnLatencyImprovementPct = origin ? improvement(origin.totalP50, row.totalP50) : null;
+    row.cdnBytesSavingPct = origin ? improvement(origin.bytesMedian, row.bytesMedian) : null;
+  }
+  return { reference, rows };
+}
+
+const FORMAT_COLUMNS = [
+  ["target", (r) => r.target],
+  ["accept_profile", (r) => r.profile],
+  ["requests", (r) => r.requests],
+  ["content_types", (r) => formatTypeMix(r.contentTypes)],
+  ["bytes_median", (r) => r.bytesMedian],
+  ["bytes_saving_%", (r) => (r.bytesSavingPct != null ? r.bytesSavingPct.toFixed(1) : "")],
+  ["total_p50", (r) => r.totalP50],
+  ["total_p95", (r) => r.totalP95],
+  ["ttfb_p50", (r) => r.ttfbP50],
+  ["cdn_vs_origin_latency_%", (r) => (r.cdnLatencyImprovementPct != null ? r.cdnLatencyImprovementPct.toFixed(1) : "")],
+  ["cdn_vs_origin_bytes_%", (r) => (r.cdnBytesSavingPct != null ? r.cdnBytesSavingPct.toFixed(1) : "")],
+];
+
+async function saveFormatSummary({ outputPath, summary }) {
+  const lines = [FORMAT_COLUMNS.map(([name]) => name).join(",")];
+  for (const row of summary.rows) {
+    lines.push(FORMAT_COLUMNS.map(([, pick]) => csvCell(pick(row))).join(","));
+  }
+  await fs.promises.writeFile(outputPath, `${lines.join("\n")}\n`);
+}
+
+function printFormatSummary(summary) {
+  console.log("");
+  console.log(summary.reference ? `=== FORMATS (bytes saving vs ${summary.reference}) ===` : "=== FORMATS ===");
+  for (const r of summary.rows) {
+    const label = [r.target, r.profile].filter(Boolean).join(" ");
+    const saving = r.bytesSavingPct != null ? `, saving ${formatPercent(r.bytesSavingPct)}` : "";
+    const cdn = r.cdnLatencyImprovementPct != null
+      ? `, cdn vs origin: latency ${formatPercent(r.cdnLatencyImprovementPct)}, bytes ${formatPercent(r.cdnBytesSavingPct)}`
+      : "";
+    console.log(
+      `${label}: ${formatTypeMix(r.contentTypes) || "n/a"}, bytes ${r.bytesMedian ?? "n/a"}${saving}, p50 ${formatMs(r.totalP50)}, ttfb p50 ${formatMs(r.ttfbP50)}${cdn}`
+    );
+  }
+}
+
+module.exports = {
+  ACCEPT_PROFILES,
+  parseAcceptProfiles,
+  computeFormatSummary,
+  saveFormatSummary,
+  printFormatSummary,
+};
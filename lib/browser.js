@@ -2,14 +2,41 @@
  * Playwright browser automation: page loading, image timing measurement
  */
 
-const { sleep } = require("./utils");
+const { IMAGE_PHASES, sleep, mean } = require("./utils");
+const { classifyCache, parseCacheRules } = require("./cache");
 
 const IGNORED_IMAGE_HOSTS = ["ad.adriver.ru", "ev.adriver.ru"];
 
+/**
+ * Make sure a run does not reuse the browser HTTP cache. Chromium: CDP Network.setCacheDisabled.
+ * Firefox/WebKit have no such switch; every run gets a fresh context, whose cache/storage is
+ * ephemeral and not shared with other contexts, so the context itself is the guarantee.
+ * Returns the method used ("cdp" or "fresh-context").
+ */
 async function disableCacheIfPossible(context, page, browserName) {
-  if (browserName !== "chromium") return;
+  if (browserName !== "chromium") return "fresh-context";
   const session = await context.newCDPSession(page);
   await session.send("Network.setCacheDisabled", { cacheDisabled: true });
+  return "cdp";
+}
+
+/**
+ * Emulate network conditions via CDP (Chromium only); conditions null means no throttling
+ */
+async function applyThrottle(context, page, browserName, conditions) {
+  if (!conditions) return;
+  if (browserName !== "chromium") {
+    throw new Error("Network throttling is supported only in chromium");
+  }
+  const session = await context.newCDPSession(page);
+  await session.send("Network.enable");
+  await session.send("Network.emulateNetworkConditions", {
+    offline: false,
+    latency: conditions.latencyMs,
+    // CDP expects bytes per second
+    downloadThroughput: (conditions.downloadKbps * 1000) / 8,
+    uploadThroughput: (conditions.uploadKbps * 1000) / 8,
+  });
 }
 
 async function autoScroll(page, delayMs) {
@@ -86,13 +113,27 @@ async function collectImageTimings(page, ignoreHosts, allowHosts) {
       const timing = resourceEntries.find((r) => r.name === src || r.name === img.currentSrc);
 
       if (timing) {
+        // Cross-origin entries without Timing-Allow-Origin have all phase timestamps zeroed
+        const restricted = timing.requestStart === 0 && timing.responseStart === 0;
+        const span = (from, to) => (restricted ? null : Math.max(0, to - from));
         // responseEnd is when the last byte was received
         imageTimings.push({
           url: src,
           responseEnd: timing.responseEnd,
-          ttfb: timing.responseStart - timing.startTime,
+          ttfb: restricted ? null : timing.responseStart - timing.startTime,
           duration: timing.duration,
           transferSize: timing.transferSize,
+          dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+          connect: span(timing.connectStart, timing.connectEnd),
+          tls: restricted
+            ? null
+            : timing.secureConnectionStart > 0 ? Math.max(0, timing.connectEnd - timing.secureConnectionStart) : 0,
+          wait: span(timing.requestStart, timing.responseStart),
+          download: span(timing.responseStart, timing.responseEnd),
+          protocol: timing.nextHopProtocol || null,
+          // Reused connections report a zero connect phase
+          newConnection: restricted ? null : timing.connectEnd - timing.connectStart > 0,
+          noTao: restricted,
         });
       } else if (img.complete && img.naturalWidth > 0) {
         // Fallback: image loaded but no timing (cross-origin without CORS headers)
@@ -102,6 +143,14 @@ async function collectImageTimings(page, ignoreHosts, allowHosts) {
           ttfb: null,
           duration: null,
           transferSize: null,
+          dns: null,
+          connect: null,
+          tls: null,
+          wait: null,
+          download: null,
+          protocol: null,
+          newConnection: null,
+          noTao: false,
           noTiming: true,
         });
       } else if (img.complete && img.naturalWidth === 0) {
@@ -210,6 +259,51 @@ async function waitForImages(page, ignoreHosts, allowHosts, verbose, logPrefix,
   };
 }
 
+function roundMs(value) {
+  return value != null ? Math.round(value) : null;
+}
+
+/**
+ * Mean of each Resource Timing phase over images that expose it
+ */
+function averagePhases(imageTimings) {
+  const result = {};
+  for (const phase of IMAGE_PHASES) {
+    const values = imageTimings.map((t) => t[phase]).filter((v) => v != null);
+    result[phase] = values.length ? Math.round(mean(values)) : null;
+  }
+  return result;
+}
+
+function countProtocols(imageTimings) {
+  const counts = {};
+  for (const t of imageTimings) {
+    if (!t.protocol) continue;
+    counts[t.protocol] = (counts[t.protocol] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Hit/miss counts and mean image duration per cache status
+ */
+function summarizeCache(imageTimings) {
+  const byStatus = (status) => imageTimings.filter((t) => t.cacheStatus === status);
+  const avgDuration = (entries) => {
+    const values = entries.map((t) => t.duration).filter((v) => v != null);
+    return values.length ? Math.round(mean(values)) : null;
+  };
+  const hits = byStatus("HIT");
+  const misses = byStatus("MISS");
+  return {
+    hits: hits.length,
+    misses: misses.length,
+    unknown: byStatus("UNKNOWN").length,
+    hitAvgMs: avgDuration(hits),
+    missAvgMs: avgDuration(misses),
+  };
+}
+
 /**
  * Run single page benchmark
  */
@@ -219,24 +313,66 @@ async function runSingle({
   url,
   scrollDelayMs,
   allowedImageHosts,
+  cacheRules = parseCacheRules(),
+  throttle = null,
+  contextOptions = {},
+  harPath = null,
   timeoutMs = 60000,
   verbose = false,
   logPrefix = "",
 }) {
-  const context = await browser.newContext();
+  // HAR is written on context.close(); bodies are omitted to keep files small
+  const context = await browser.newContext(
+    harPath ? { ...contextOptions, recordHar: { path: harPath, content: "omit" } } : contextOptions
+  );
   const page = await context.newPage();
 
-  // Setup LCP observer
+  // Cache headers of image responses, keyed by URL
+  const imageCache = new Map();
+  page.on("response", (response) => {
+    if (response.request().resourceType() !== "image") return;
+    imageCache.set(response.url(), classifyCache(response.headers(), cacheRules));
+  });
+
+  // Response bytes per finished request as seen by the network layer (headers + encoded body);
+  // unlike Resource Timing transferSize this counts cross-origin responses without Timing-Allow-Origin
+  const transferSizes = [];
+  page.on("requestfinished", (request) => {
+    transferSizes.push(request.sizes().then((sizes) => sizes.responseHeadersSize + sizes.responseBodySize, () => 0));
+  });
+
+  // Setup Web Vitals observers (LCP, FCP, CLS); entry types a browser lacks are skipped.
+  // No INP: runs only load and scroll, there is no user interaction to measure.
   await page.addInitScript(() => {
-    window.__bench = { lcp: null };
-    new PerformanceObserver((list) => {
-      for (const entry of list.getEntries()) {
-        window.__bench.lcp = entry.startTime;
+    const bench = { lcp: null, fcp: null, cls: 0, clsSupported: false };
+    window.__bench = bench;
+    const observe = (type, onEntry) => {
+      if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return false;
+      new PerformanceObserver((list) => list.getEntries().forEach(onEntry)).observe({ type, buffered: true });
+      return true;
+    };
+    observe("largest-contentful-paint", (entry) => {
+      bench.lcp = entry.startTime;
+    });
+    observe("paint", (entry) => {
+      if (entry.name === "first-contentful-paint") bench.fcp = entry.startTime;
+    });
+    // CLS: largest session window (shifts < 1s apart, window <= 5s), user-input shifts excluded
+    let session = { value: 0, first: 0, last: 0 };
+    bench.clsSupported = observe("layout-shift", (entry) => {
+      if (entry.hadRecentInput) return;
+      if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.first < 5000) {
+        session.value += entry.value;
+        session.last = entry.startTime;
+      } else {
+        session = { value: entry.value, first: entry.startTime, last: entry.startTime };
       }
-    }).observe({ type: "largest-contentful-paint", buffered: true });
+      bench.cls = Math.max(bench.cls, session.value);
+    });
   });
 
-  await disableCacheIfPossible(context, page, browserName);
+  const cacheDisable = await disableCacheIfPossible(context, page, browserName);
+  await applyThrottle(context, page, browserName, throttle);
   page.setDefaultTimeout(0);
   page.setDefaultNavigationTimeout(0);
 
@@ -246,8 +382,10 @@ async function runSingle({
   let navUrl = null;
   let userAgent = null;
   let viewport = null;
+  let devicePixelRatio = null;
   let ttfbMs = null;
   let lcpMs = null;
+  let vitals = { fcpMs: null, cls: null, dclMs: null, loadMs: null, transferBytes: null };
 
   const startMs = Date.now();
   let imageStats = null;
@@ -311,23 +449,47 @@ async function runSingle({
       const nav = performance.getEntriesByType("navigation")[0];
       const ttfb = nav ? nav.responseStart - nav.startTime : null;
       const lcp = window.__bench?.lcp ?? null;
+      // Event times are 0 until the event fired
+      const sinceStart = (value) => (nav && value > 0 ? value - nav.startTime : null);
       return {
         ttfb,
         lcp,
+        fcp: window.__bench?.fcp ?? null,
+        cls: window.__bench?.clsSupported ? window.__bench.cls : null,
+        dcl: sinceStart(nav && nav.domContentLoadedEventEnd),
+        load: sinceStart(nav && nav.loadEventEnd),
         userAgent: navigator.userAgent,
         viewport: { width: window.innerWidth, height: window.innerHeight },
+        devicePixelRatio: window.devicePixelRatio,
       };
     });
     ttfbMs = metrics.ttfb != null ? Math.round(metrics.ttfb) : null;
     lcpMs = metrics.lcp != null ? Math.round(metrics.lcp) : null;
+    vitals = {
+      fcpMs: roundMs(metrics.fcp),
+      cls: metrics.cls != null ? Number(metrics.cls.toFixed(4)) : null,
+      dclMs: roundMs(metrics.dcl),
+      loadMs: roundMs(metrics.load),
+      transferBytes: null,
+    };
     userAgent = metrics.userAgent;
     viewport = metrics.viewport;
+    devicePixelRatio = metrics.devicePixelRatio;
   } catch {
     // Ignore metrics failures
   }
 
+  // sizes() needs the context; requests still in flight are not counted
+  if (transferSizes.length) {
+    vitals.transferBytes = (await Promise.all(transferSizes)).reduce((sum, bytes) => sum + bytes, 0);
+  }
+
   await context.close();
 
+  const imageTimings = (imageStats.imageTimings || []).map((t) => {
+    const cache = imageCache.get(t.url);
+    return { ...t, cacheStatus: cache ? cache.status : "UNKNOWN", cacheHeaders: cache ? cache.headers : {} };
+  });
   return {
     imagesLoadedMs: imagesLoadedMs != null ? Math.round(imagesLoadedMs) : null,
     avgImageMs: imageStats.avgImageMs != null ? Math.round(imageStats.avgImageMs) : null,
@@ -344,11 +506,37 @@ async function runSingle({
     errorsCount: imageStats.failed || 0,
     userAgent,
     viewport,
+    devicePixelRatio,
     ttfbMs,
     lcpMs,
+    ...vitals,
+    cacheDisable,
     imageUrls: imageStats.urls || [],
     imageFailedUrls: imageStats.failedUrls || [],
     imageHosts: imageStats.hosts || [],
+    imagesNoTao: imageTimings.filter((t) => t.noTao).length,
+    phasesMs: averagePhases(imageTimings),
+    protocols: countProtocols(imageTimings),
+    newConnections: imageTimings.filter((t) => t.newConnection).length,
+    cache: summarizeCache(imageTimings),
+    imageTimings: imageTimings.map((t) => ({
+      url: t.url,
+      ttfbMs: roundMs(t.ttfb),
+      durationMs: roundMs(t.duration),
+      responseEndMs: roundMs(t.responseEnd),
+      transferSize: t.transferSize ?? null,
+      dnsMs: roundMs(t.dns),
+      connectMs: roundMs(t.connect),
+      tlsMs: roundMs(t.tls),
+      waitMs: roundMs(t.wait),
+      downloadMs: roundMs(t.download),
+      protocol: t.protocol,
+      newConnection: t.newConnection,
+      cacheStatus: t.cacheStatus,
+      cacheHeaders: t.cacheHeaders,
+      noTao: Boolean(t.noTao),
+      noTiming: Boolean(t.noTiming),
+    })),
   };
 }
 
@@ -359,11 +547,12 @@ async function runImageSingle({
   browser,
   browserName,
   url,
+  contextOptions = {},
   timeoutMs,
   verbose = false,
   logPrefix = "",
 }) {
-  const context = await browser.newContext();
+  const context = await browser.newContext(contextOptions);
   const page = await context.newPage();
   await disableCacheIfPossible(context, page, browserName);
 
@@ -375,6 +564,8 @@ async function runImageSingle({
   let timeoutReason = null;
   let ttfbMs = null;
   let totalMs = null;
+  let contentType = null;
+  let sizeBytes = null;
 
   try {
     const navResponse = await page.goto(url, {
@@ -384,6 +575,8 @@ async function runImageSingle({
     if (navResponse) {
       navStatus = navResponse.status();
       navUrl = navResponse.url();
+      const type = navResponse.headers()["content-type"];
+      contentType = type ? type.split(";")[0].trim() : null;
     }
   } catch (error) {
     timeout = true;
@@ -394,14 +587,16 @@ async function runImageSingle({
   try {
     const metrics = await page.evaluate(() => {
       const nav = performance.getEntriesByType("navigation")[0];
-      if (!nav) return { ttfb: null, total: null };
+      if (!nav) return { ttfb: null, total: null, size: null };
       return {
         ttfb: nav.responseStart - nav.startTime,
         total: nav.responseEnd - nav.startTime,
+        size: nav.encodedBodySize,
       };
     });
     ttfbMs = metrics.ttfb != null ? Math.round(metrics.ttfb) : null;
     totalMs = metrics.total != null ? Math.round(metrics.total) : null;
+    sizeBytes = metrics.size ?? null;
   } catch {
     // Ignore
   }
@@ -417,16 +612,18 @@ async function runImageSingle({
     errorsCount: timeout || (navStatus != null && navStatus >= 400) ? 1 : 0,
     ttfbMs,
     totalMs,
+    contentType,
+    sizeBytes,
   };
 }
 
 /**
  * Warmup: load each page variant to prime DNS/connections/CDN edge
  */
-async function runWarmup({ browser, browserName, urls, warmupRuns = 2, timeoutMs = 15000 }) {
+async function runWarmup({ browser, browserName, urls, contextOptions = {}, warmupRuns = 2, timeoutMs = 15000 }) {
   for (let run = 0; run < warmupRuns; run++) {
     for (const url of urls) {
-      const context = await browser.newContext();
+      const context = await browser.newContext(contextOptions);
       const page = await context.newPage();
       try {
         await disableCacheIfPossible(context, page, browserName);
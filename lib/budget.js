@@ -0,0 +1,145 @@
+/**
+ * Performance budgets: evaluate run/image/urls results against thresholds (CI gating)
+ */
+
+const { readDataFile, formatMs, formatPercent } = require("./utils");
+
+// Exit code when any budget fails (crashes exit with 1)
+const BUDGET_EXIT_CODE = 3;
+
+const BUDGET_COMMANDS = ["run", "image", "urls"];
+
+// Every threshold is a number or a { name: number } map
+function validateBudget(budget, origin) {
+  if (typeof budget !== "object" || Array.isArray(budget)) throw new Error(`${origin}: budget must be a map of thresholds`);
+  for (const [key, value] of Object.entries(budget)) {
+    const values = value && typeof value === "object" && !Array.isArray(value) ? Object.values(value) : [value];
+    if (!values.every((v) => typeof v === "number" && Number.isFinite(v))) {
+      throw new Error(`${origin}: ${key} must be a number or a map of numbers, got ${JSON.stringify(value)}`);
+    }
+  }
+  return budget;
+}
+
+/**
+ * Load budget for a command: file (JSON/YAML, flat or sectioned by command name)
+ * merged with CLI flag values, flags win. In a sectioned file (any run/image/urls key)
+ * a command without its section has no file budget.
+ */
+async function loadBudget(filePath, command, flags = {}) {
+  let budget = {};
+  if (filePath) {
+    const raw = (await readDataFile(filePath)) ?? {};
+    const sectioned = raw && typeof raw === "object" && BUDGET_COMMANDS.some((name) => name in raw);
+    const origin = sectioned ? `${filePath} (${command})` : filePath;
+    budget = { ...validateBudget(sectioned ? raw[command] ?? {} : raw, origin) };
+  }
+  for (const [key, value] of Object.entries(flags)) {
+    if (value != null && !Number.isNaN(value)) budget[key] = value;
+  }
+  return budget;
+}
+
+function hasBudget(budget) {
+  return Object.keys(budget || {}).length > 0;
+}
+
+// A threshold is either a number (all targets) or a { name: number } map
+function thresholdFor(value, name, fallbackAll = true) {
+  if (value == null) return null;
+  if (typeof value === "number") return fallbackAll ? value : null;
+  return value[name] ?? null;
+}
+
+function check(results, name, actual, limit, kind, format) {
+  if (limit == null) return;
+  const pass = actual != null && (kind === "max" ? actual <= limit : actual >= limit);
+  const op = kind === "max" ? "<=" : ">=";
+  results.push({ name, actual, limit, pass, detail: `${format(actual)} ${op} ${format(limit)}` });
+}
+
+/**
+ * Run budgets: min_improvement_pct (per non-baseline variant), max_median_ms, max_p90_ms,
+ * max_lcp_ms, max_errors. Numbers apply to non-baseline variants (errors: to all),
+ * maps set a value per variant.
+ */
+function evaluateRunBudget(budget, summaries) {
+  const results = [];
+  for (const { group, summary } of summaries) {
+    const groupNote = Object.entries(group).map(([k, v]) => ` ${k}=${v}`).join("");
+    for (const s of summary.variants) {
+      const isBaseline = s.variant === summary.baseline;
+      const label = `${s.variant}${groupNote}`;
+      if (!isBaseline) {
+        const minImprovement = thresholdFor(budget.min_improvement_pct, s.variant);
+        check(results, `${label} improvement`, s.improvementMedian, minImprovement, "min", formatPercent);
+      }
+      check(results, `${label} median`, s.median, thresholdFor(budget.max_median_ms, s.variant, !isBaseline), "max", formatMs);
+      check(results, `${label} p90`, s.p90, thresholdFor(budget.max_p90_ms, s.variant, !isBaseline), "max", formatMs);
+      check(results, `${label} lcp`, s.lcp, thresholdFor(budget.max_lcp_ms, s.variant, !isBaseline), "max", formatMs);
+      check(results, `${label} errors`, s.errors, thresholdFor(budget.max_errors, s.variant), "max", String);
+    }
+  }
+  return results;
+}
+
+// " origin avif" for stats of one target × Accept profile, "" when neither was varied
+function matrixNote(stats) {
+  return [stats.target, stats.accept_profile].filter(Boolean).map((v) => ` ${v}`).join("");
+}
+
+/**
+ * Image budgets: max_p50_ms, max_p95_ms, max_ttfb_p50_ms per target × Accept profile,
+ * max_errors over all requests
+ */
+function evaluateImageBudget(budget, stats) {
+  const results = [];
+  for (const g of stats) {
+    const note = matrixNote(g);
+    check(results, `total p50${note}`, g.total_p50_ms, budget.max_p50_ms ?? null, "max", formatMs);
+    check(results, `total p95${note}`, g.total_p95_ms, budget.max_p95_ms ?? null, "max", formatMs);
+    check(results, `ttfb p50${note}`, g.ttfb_p50_ms, budget.max_ttfb_p50_ms ?? null, "max", formatMs);
+  }
+  const errors = stats.reduce((sum, g) => sum + g.errors, 0);
+  check(results, "errors", errors, budget.max_errors ?? null, "max", String);
+  return results;
+}
+
+/**
+ * URL list budgets: max_p50_ms and max_p95_ms per URL × target × Accept profile, max_errors over all URLs
+ */
+function evaluateUrlsBudget(budget, urlStats) {
+  const results = [];
+  for (const u of urlStats) {
+    const note = matrixNote(u);
+    check(results, `${u.url}${note} p50`, u.totalP50, budget.max_p50_ms ?? null, "max", formatMs);
+    check(results, `${u.url}${note} p95`, u.totalP95, budget.max_p95_ms ?? null, "max", formatMs);
+  }
+  const errors = urlStats.reduce((sum, u) => sum + u.errors, 0);
+  check(results, "errors", errors, budget.max_errors ?? null, "max", String);
+  return results;
+}
+
+/**
+ * Print pass/fail per budget; returns the number of failed budgets
+ */
+function printBudget(results) {
+  console.log("");
+  console.log("=== BUDGET ===");
+  for (const r of results) {
+    console.log(`${r.pass ? "PASS" : "FAIL"}  ${r.name}: ${r.detail}`);
+  }
+  const failed = results.filter((r) => !r.pass).length;
+  console.log(failed > 0 ? `Budget failed: ${failed}/${results.length}` : `Budget passed: ${results.length}/${results.length}`);
+  return failed;
+}
+
+module.exports = {
+  BUDGET_EXIT_CODE,
+  loadBudget,
+  hasBudget,
+  evaluateRunBudget,
+  evaluateImageBudget,
+  evaluateUrlsBudget,
+  printBudget,
+};
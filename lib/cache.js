@@ -0,0 +1,71 @@
+/**
+ * CDN cache status: classify responses as HIT/MISS/UNKNOWN from cache headers
+ */
+
+const CACHE_HEADERS = ["x-cache", "cf-cache-status", "x-cache-status", "age", "cache-control", "via", "server"];
+
+const CACHE_STATUSES = ["HIT", "MISS", "UNKNOWN"];
+
+// Checked in order, first match wins; `match` is a case-insensitive regex
+const DEFAULT_CACHE_RULES = [
+  { header: "cf-cache-status", match: "^(HIT|STALE|REVALIDATED|UPDATING)$", status: "HIT" },
+  { header: "cf-cache-status", match: "^(MISS|EXPIRED|BYPASS|DYNAMIC)$", status: "MISS" },
+  { header: "x-cache-status", match: "HIT|STALE", status: "HIT" },
+  { header: "x-cache-status", match: "MISS|EXPIRED|BYPASS", status: "MISS" },
+  { header: "x-cache", match: "\\bHIT\\b", status: "HIT" },
+  { header: "x-cache", match: "\\bMISS\\b", status: "MISS" },
+  { header: "age", match: "^[1-9]\\d*$", status: "HIT" },
+];
+
+/**
+ * Compile rules from config (`cache_rules`); custom rules are checked before the defaults
+ */
+function parseCacheRules(customRules) {
+  const raw = [...(Array.isArray(customRules) ? customRules : []), ...DEFAULT_CACHE_RULES];
+  return raw.map((rule, index) => {
+    const header = String(rule.header || "").trim().toLowerCase();
+    const status = String(rule.status || "").trim().toUpperCase();
+    if (!header || rule.match == null) throw new Error(`Cache rule #${index + 1}: header and match are required`);
+    if (status !== "HIT" && status !== "MISS") throw new Error(`Cache rule #${index + 1}: status must be HIT or MISS`);
+    return { header, regex: new RegExp(String(rule.match), "i"), status };
+  });
+}
+
+function pickCacheHeaders(headers, rules) {
+  const picked = {};
+  const names = new Set([...CACHE_HEADERS, ...rules.map((rule) => rule.header)]);
+  for (const name of names) {
+    const value = headers[name];
+    if (value != null && value !== "") picked[name] = Array.isArray(value) ? value.join(", ") : String(value);
+  }
+  return picked;
+}
+
+/**
+ * Classify a response by its (lower-cased) headers
+ */
+function classifyCache(headers, rules = parseCacheRules()) {
+  const picked = pickCacheHeaders(headers || {}, rules);
+  for (const rule of rules) {
+    const value = headers && headers[rule.header];
+    if (value == null) continue;
+    const text = Array.isArray(value) ? value.join(", ") : String(value);
+    if (rule.regex.test(text.trim())) return { status: rule.status, headers: picked };
+  }
+  return { status: "UNKNOWN", headers: picked };
+}
+
+// Headers as "x-cache=HIT;age=12" (single CSV cell)
+function formatCacheHeaders(headers) {
+  if (!headers) return "";
+  return Object.entries(headers).map(([name, value]) => `${name}=${value}`).join(";");
+}
+
+module.exports = {
+  CACHE_HEADERS,
+  CACHE_STATUSES,
+  DEFAULT_CACHE_RULES,
+  parseCacheRules,
+  classifyCache,
+  formatCacheHeaders,
+};
@@ -0,0 +1,154 @@
+/**
+ * Origin vs CDN comparison of one URL over plain HTTP (native port of cdn-compare.sh):
+ * per-request connection phases and mean/p50/p95/p99/max per host
+ */
+
+const fs = require("fs");
+const { mean, percentile, maxOf, improvement, formatMs, formatPercent } = require("./utils");
+const { csvCell } = require("./report");
+
+const PHASES = ["dns_ms", "connect_ms", "tls_ms", "ttfb_ms", "download_ms", "total_ms"];
+
+// Same as curl --compressed in cdn-compare.sh; bodies are not decoded, size_bytes is the transferred size
+const COMPARE_HEADERS = { "accept-encoding": "deflate, gzip, br, zstd" };
+
+// One row per request; phases in ms (dns/connect/tls are durations, ttfb is from request start)
+const COMPARE_COLUMNS = [
+  "timestamp",
+  "target",
+  "request",
+  "url",
+  "status",
+  "remote_ip",
+  "http_version",
+  "content_type",
+  "size_bytes",
+  ...PHASES,
+  "error",
+  "city",
+  "city_geo",
+];
+
+// One row per target × phase
+const COMPARE_SUMMARY_COLUMNS = [
+  "target",
+  "metric",
+  "requests",
+  "errors",
+  "mean",
+  "p50",
+  "p95",
+  "p99",
+  "max",
+  "improvement_%",
+  "city",
+  "city_geo",
+];
+
+function isFailed(record) {
+  return record.error != null || record.status !== 200;
+}
+
+function phaseStats(values) {
+  if (values.length === 0) return { mean: null, p50: null, p95: null, p99: null, max: null };
+  return {
+    mean: Math.round(mean(values)),
+    p50: percentile(values, 0.5),
+    p95: percentile(values, 0.95),
+    p99: percentile(values, 0.99),
+    max: maxOf(values),
+  };
+}
+
+/**
+ * Stats per target over successful requests (HTTP 200, no error); improvement of cdn vs origin
+ */
+function computeCompareSummary(records) {
+  const targets = [...new Set(records.map((r) => r.target))];
+  const rows = [];
+  for (const target of targets) {
+    const entries = records.filter((r) => r.target === target);
+    const ok = entries.filter((r) => !isFailed(r));
+    for (const metric of PHASES) {
+      rows.push({
+        target,
+        metric,
+        requests: entries.length,
+        errors: entries.length - ok.length,
+        ...phaseStats(ok.map((r) => r[metric]).filter((v) => v != null)),
+      });
+    }
+  }
+  for (const row of rows) {
+    const origin = row.target === "cdn" ? rows.find((r) => r.target === "origin" && r.metric === row.metric) : null;
+    row.improvementPct = origin ? improvement(origin.p50, row.p50) : null;
+  }
+  return rows;
+}
+
+async function saveCompareReport({ outputPath, records, meta }) {
+  const lines = [COMPARE_COLUMNS.join(",")];
+  for (const r of records) {
+    const row = { ...r, city: meta.city, city_geo: meta.city_geo };
+    lines.push(COMPARE_COLUMNS.map((name) => csvCell(row[name])).join(","));
+  }
+  await fs.promises.writeFile(outputPath, `${lines.join("\n")}\n`);
+}
+
+async function saveCompareSummary({ outputPath, summary, meta }) {
+  const lines = [COMPARE_SUMMARY_COLUMNS.join(",")];
+  for (const s of summary) {
+    const row = {
+      ...s,
+      "improvement_%": s.improvementPct != null ? s.improvementPct.toFixed(1) : null,
+      city: meta.city,
+      city_geo: meta.city_geo,
+    };
+    lines.push(COMPARE_SUMMARY_COLUMNS.map((name) => csvCell(row[name])).join(","));
+  }
+  await fs.promises.writeFile(outputPath, `${lines.join("\n")}\n`);
+}
+
+function formatRequestLine(r) {
+  const cell = (v) => String(v ?? "-").padStart(7);
+  const note = [r.status != null && r.status !== 200 ? `HTTP_${r.status}` : null, r.error].filter(Boolean).join(",");
+  return `${String(r.request).padStart(3)}  ${String(r.status ?? "-").padStart(4)}  ${String(r.remote_ip || "-").padStart(15)}  ` +
+    `${PHASES.map((name) => cell(r[name])).join("  ")}  ${note}`;
+}
+
+function printRequestHeader(label, url, requests) {
+  console.log(`=== ${label} ===`);
+  console.log(`URL: ${url}`);
+  console.log(`Requests: ${requests}`);
+  console.log("");
+  console.log(
+    `${"i".padStart(3)}  ${"code".padStart(4)}  ${"remote_ip".padStart(15)}  ` +
+    `${["dns", "tcp", "tls", "ttfb", "dl", "total"].map((h) => h.padStart(7)).join("  ")}  note`
+  );
+}
+
+function printCompareSummary(summary) {
+  console.log("");
+  console.log("=== SUMMARY ===");
+  for (const target of [...new Set(summary.map((s) => s.target))]) {
+    const rows = summary.filter((s) => s.target === target);
+    console.log(`${target}: requests=${rows[0].requests} errors=${rows[0].errors}`);
+    for (const s of rows) {
+      const impr = s.improvementPct != null ? `  vs origin p50 ${formatPercent(s.improvementPct)}` : "";
+      console.log(
+        `  ${s.metric.padEnd(12)} mean ${formatMs(s.mean)}  p50 ${formatMs(s.p50)}  p95 ${formatMs(s.p95)}  p99 ${formatMs(s.p99)}  max ${formatMs(s.max)}${impr}`
+      );
+    }
+  }
+}
+
+module.exports = {
+  COMPARE_HEADERS,
+  COMPARE_COLUMNS,
+  computeCompareSummary,
+  saveCompareReport,
+  saveCompareSummary,
+  formatRequestLine,
+  printRequestHeader,
+  printCompareSummary,
+};
@@ -0,0 +1,60 @@
+/**
+ * Device emulation: Playwright device descriptors or custom viewport/DPR/UA
+ */
+
+const { devices } = require("playwright");
+const { toNonEmptyString } = require("./utils");
+
+// Inline spec: <width>x<height>[@<dpr>][:mobile], e.g. "390x844@3:mobile"
+const INLINE_DEVICE_RE = /^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?(:mobile)?$/i;
+
+function fromCustom(name, raw) {
+  const width = Number(raw.width ?? (raw.viewport && raw.viewport.width));
+  const height = Number(raw.height ?? (raw.viewport && raw.viewport.height));
+  if (!width || !height) throw new Error(`Device ${name}: width and height are required`);
+  const options = {
+    viewport: { width, height },
+    deviceScaleFactor: Number(raw.device_scale_factor ?? raw.dpr ?? 1),
+    isMobile: Boolean(raw.is_mobile),
+    hasTouch: Boolean(raw.has_touch ?? raw.is_mobile),
+  };
+  const userAgent = toNonEmptyString(raw.user_agent);
+  if (userAgent) options.userAgent = userAgent;
+  return options;
+}
+
+/**
+ * Resolve --device into browser.newContext() options. Lookup order: config `devices`,
+ * Playwright descriptors (e.g. "iPhone 13", "Pixel 7"), inline spec. Returns null for desktop default.
+ */
+function resolveDevice(value, { customDevices = {}, userAgent = null, browserName = "chromium" } = {}) {
+  const name = toNonEmptyString(value);
+  if (!name && !userAgent) return null;
+
+  let contextOptions = {};
+  if (name) {
+    const inline = name.match(INLINE_DEVICE_RE);
+    if (customDevices && customDevices[name]) {
+      contextOptions = fromCustom(name, customDevices[name]);
+    } else if (devices[name]) {
+      const { defaultBrowserType, ...descriptor } = devices[name];
+      contextOptions = descriptor;
+    } else if (inline) {
+      contextOptions = fromCustom(name, {
+        width: inline[1],
+        height: inline[2],
+        dpr: inline[3] || 1,
+        is_mobile: Boolean(inline[4]),
+      });
+    } else {
+      throw new Error(`Unknown device: ${name} (Playwright device name or <width>x<height>[@<dpr>][:mobile])`);
+    }
+  }
+  if (userAgent) contextOptions.userAgent = userAgent;
+  // Firefox does not support mobile emulation
+  if (browserName === "firefox") delete contextOptions.isMobile;
+
+  return { name: name || "custom-ua", contextOptions };
+}
+
+module.exports = { resolveDevice };
@@ -0,0 +1,142 @@
+/**
+ * Compare two run CSVs (written by saveReport) and detect regressions per page × variant
+ */
+
+const fs = require("fs");
+const { median, percentile, improvement, mannWhitneyU, bootstrapCi, formatMs, formatPercent } = require("./utils");
+const { parseCsv } = require("./report");
+
+const CONFIDENCE = 0.95;
+const BOOTSTRAP_ITERATIONS = 2000;
+// Optional columns that split a page × variant further when present in both files
+const KEY_COLUMNS = ["page_id", "variant", "throttle", "browser", "device"];
+
+/**
+ * Load per-run rows from a run CSV; TOTAL rows are skipped
+ */
+async function loadRunCsv(filePath) {
+  const text = await fs.promises.readFile(filePath, "utf8");
+  const [header, ...rows] = parseCsv(text).filter((row) => row.length > 1);
+  if (!header || !header.includes("page_id") || !header.includes("variant")) {
+    throw new Error(`${filePath}: not a run CSV (page_id/variant columns missing)`);
+  }
+  const records = rows
+    .map((row) => Object.fromEntries(header.map((name, i) => [name, row[i] ?? ""])))
+    .filter((r) => r.page_id !== "TOTAL");
+  return { columns: header, records };
+}
+
+function numericValues(records, metric) {
+  return records
+    .map((r) => r[metric])
+    .filter((v) => v !== "" && v != null)
+    .map(Number)
+    .filter((v) => Number.isFinite(v));
+}
+
+function keyOf(record, keyColumns) {
+  return JSON.stringify(keyColumns.map((c) => record[c] ?? ""));
+}
+
+/**
+ * Per key: before/after median and p90 of `metric`, change in % (positive = slower),
+ * bootstrap CI for the median change, Mann-Whitney p-value and regression flag.
+ */
+function diffRuns(before, after, { metric = "images_ms", thresholdPct = 10, confidence = CONFIDENCE } = {}) {
+  for (const [label, run] of [["before", before], ["after", after]]) {
+    if (!run.columns.includes(metric)) throw new Error(`Metric ${metric} not found in ${label} CSV`);
+  }
+  const keyColumns = KEY_COLUMNS.filter((c) => before.columns.includes(c) && after.columns.includes(c));
+  const keys = new Map();
+  for (const r of [...before.records, ...after.records]) {
+    const key = keyOf(r, keyColumns);
+    if (!keys.has(key)) keys.set(key, Object.fromEntries(keyColumns.map((c) => [c, r[c]])));
+  }
+
+  const alpha = 1 - confidence;
+  const rows = [];
+  for (const [key, fields] of keys) {
+    const a = numericValues(before.records.filter((r) => keyOf(r, keyColumns) === key), metric);
+    const b = numericValues(after.records.filter((r) => keyOf(r, keyColumns) === key), metric);
+    const beforeMedian = a.length ? median(a) : null;
+    const afterMedian = b.length ? median(b) : null;
+    const beforeP90 = a.length ? percentile(a, 0.9) : null;
+    const afterP90 = b.length ? percentile(b, 0.9) : null;
+    // improvement() is positive when faster; flip so positive change means slower
+    const change = (x, y) => {
+      const value = improvement(x, y);
+      return value != null ? -value : null;
+    };
+    const changeMedian = change(beforeMedian, afterMedian);
+    const changeP90 = change(beforeP90, afterP90);
+    const test = mannWhitneyU(a, b);
+    const pValue = test ? test.p : null;
+    const medianCi = bootstrapCi(a, b, (x, y) => change(median(x), median(y)), {
+      iterations: BOOTSTRAP_ITERATIONS,
+      confidence,
+    });
+    const significant = pValue != null && pValue < alpha;
+
+    let status = "ok";
+    if (!a.length || !b.length) status = a.length ? "missing_after" : "missing_before";
+    else if (significant && changeMedian > thresholdPct) status = "regression";
+    else if (significant && changeMedian < -thresholdPct) status = "improvement";
+
+    rows.push({
+      ...fields,
+      runsBefore: a.length,
+      runsAfter: b.length,
+      beforeMedian,
+      afterMedian,
+      beforeP90,
+      afterP90,
+      changeMedian,
+      changeP90,
+      medianCi,
+      pValue,
+      significant,
+      status,
+    });
+  }
+
+  return {
+    metric,
+    thresholdPct,
+    confidence,
+    keyColumns,
+    rows,
+    regressions: rows.filter((r) => r.status === "regression").length,
+  };
+}
+
+function printDiff(result) {
+  const formatP = (p) => (p == null ? "n/a" : p < 0.0001 ? p.toExponential(1) : p.toFixed(4));
+  const formatCi = (ci) => (ci ? `${formatPercent(ci[0])}..${formatPercent(ci[1])}` : "n/a");
+  const table = [
+    [...result.keyColumns, "median", "Δmedian", "CI", "p90", "Δp90", "p", "status"],
+    ...result.rows.map((r) => [
+      ...result.keyColumns.map((c) => r[c] || "-"),
+      `${formatMs(r.beforeMedian)} → ${formatMs(r.afterMedian)}`,
+      formatPercent(r.changeMedian),
+      formatCi(r.medianCi),
+      `${formatMs(r.beforeP90)} → ${formatMs(r.afterP90)}`,
+      formatPercent(r.changeP90),
+      formatP(r.pValue),
+      r.status === "regression" ? "REGRESSION" : r.status,
+    ]),
+  ];
+  const widths = table[0].map((_, i) => Math.max(...table.map((row) => String(row[i]).length)));
+  console.log("");
+  console.log(`=== DIFF ${result.metric} (threshold ${result.thresholdPct}%, ${Math.round(result.confidence * 100)}% confidence) ===`);
+  for (const row of table) {
+    console.log(row.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd());
+  }
+  console.log("");
+  console.log(`Regressions: ${result.regressions}`);
+}
+
+module.exports = {
+  loadRunCsv,
+  diffRuns,
+  printDiff,
+};
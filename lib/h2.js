@@ -0,0 +1,178 @@
+/**
+ * HTTP/2 transport for fetchUrlMetrics: ALPN negotiation and sessions per host
+ * (h2 over TLS, h2c with prior knowledge over plain TCP)
+ */
+
+const http2 = require("http2");
+const net = require("net");
+const tls = require("tls");
+const { classifyCache } = require("./cache");
+
+function socketOptions(target, ALPNProtocols) {
+  const host = target.hostname.replace(/^\[|\]$/g, "");
+  return {
+    host,
+    port: Number(target.port) || (target.protocol === "https:" ? 443 : 80),
+    servername: net.isIP(host) ? undefined : host,
+    ALPNProtocols,
+  };
+}
+
+/**
+ * ALPN probe: the protocol the server picks from ["h2", "http/1.1"]
+ */
+function negotiateAlpn(target, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect(socketOptions(target, ["h2", "http/1.1"]), () => {
+      const protocol = socket.alpnProtocol || "http/1.1";
+      socket.destroy();
+      resolve(protocol);
+    });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("timeout")));
+    socket.on("error", reject);
+  });
+}
+
+function sessionKey(target) {
+  return `${target.protocol}//${target.host}`;
+}
+
+/**
+ * Open a session; onSocket(socket) gets the raw socket to attach phase listeners.
+ * TLS sessions fail unless the server agrees to h2 via ALPN.
+ */
+function openSession(target, onSocket) {
+  const session = http2.connect(sessionKey(target), {
+    createConnection: () => {
+      const socket = target.protocol === "https:"
+        ? tls.connect(socketOptions(target, ["h2"]))
+        : net.connect(socketOptions(target));
+      if (target.protocol === "https:") {
+        socket.once("secureConnect", () => {
+          if (socket.alpnProtocol !== "h2") {
+            socket.destroy(new Error(`HTTP/2 not negotiated (ALPN ${socket.alpnProtocol || "none"})`));
+          }
+        });
+      }
+      onSocket(socket);
+      return socket;
+    },
+  });
+  // Errors reach the request through its stream; keep the session from throwing
+  session.on("error", () => {});
+  return session;
+}
+
+/**
+ * One GET over HTTP/2, same result shape as fetchUrlMetrics. sessions: Map of open sessions
+ * per host to multiplex over (warm); without it the session is opened and closed per request.
+ */
+function fetchUrlMetricsH2(target, timeoutMs, { cacheRules, headers = {}, sessions = null }) {
+  return new Promise((resolve) => {
+    const startMs = performance.now();
+    const since = (from, to) => (from != null && to != null ? Math.round(to - from) : null);
+    const key = sessionKey(target);
+    let done = false;
+    let statusCode = null;
+    let remoteIp = null;
+    let lookupAt = null;
+    let connectAt = null;
+    let secureAt = null;
+    let responseAt = null;
+    let firstByteAt = null;
+    let sizeBytes = 0;
+    let contentType = null;
+    let timeout = false;
+    let error = null;
+    let cache = null;
+
+    let session = sessions ? sessions.get(key) : null;
+    const reusedSocket = Boolean(session && !session.closed && !session.destroyed);
+    if (!reusedSocket) {
+      session = openSession(target, (socket) => {
+        socket.once("lookup", () => (lookupAt = performance.now()));
+        socket.once("connect", () => (connectAt = performance.now()));
+        socket.once("secureConnect", () => (secureAt = performance.now()));
+      });
+      if (sessions) {
+        sessions.set(key, session);
+        session.once("close", () => {
+          if (sessions.get(key) === session) sessions.delete(key);
+        });
+      }
+    }
+    const onSessionError = (err) => {
+      error = error || err.message;
+    };
+    session.on("error", onSessionError);
+
+    const finish = (endAt) => {
+      if (done) return;
+      done = true;
+      session.off("error", onSessionError);
+      if (!sessions) session.close();
+      const ttfbAt = firstByteAt ?? responseAt;
+      // A failed or timed-out request has no end time, as in the HTTP/1.1 path
+      if (timeout || error) endAt = null;
+      resolve({
+        statusCode,
+        remoteIp,
+        httpVersion: "2.0",
+        sizeBytes,
+        contentType,
+        reusedSocket,
+        dnsMs: lookupAt != null ? since(startMs, lookupAt) : connectAt != null ? 0 : null,
+        connectMs: since(lookupAt ?? startMs, connectAt),
+        tlsMs: since(connectAt, secureAt),
+        ttfbMs: since(startMs, ttfbAt),
+        downloadMs: since(ttfbAt, endAt),
+        totalMs: since(startMs, endAt),
+        timeout,
+        error,
+        cacheStatus: cache ? cache.status : null,
+        cacheHeaders: cache ? cache.headers : null,
+      });
+    };
+
+    const stream = session.request({
+      ":method": "GET",
+      ":path": `${target.pathname}${target.search}`,
+      "user-agent": "cdntest-bench",
+      ...headers,
+    });
+    stream.on("response", (responseHeaders) => {
+      statusCode = responseHeaders[":status"] || null;
+      const type = responseHeaders["content-type"];
+      contentType = type ? type.split(";")[0].trim() : null;
+      remoteIp = session.socket ? session.socket.remoteAddress : null;
+      cache = classifyCache(responseHeaders, cacheRules);
+      responseAt = performance.now();
+    });
+    stream.on("data", (chunk) => {
+      if (firstByteAt == null) firstByteAt = performance.now();
+      sizeBytes += chunk.length;
+    });
+    stream.on("end", () => finish(performance.now()));
+    stream.on("error", (err) => {
+      error = error || err.message;
+      finish(null);
+    });
+    stream.on("close", () => {
+      if (done) return;
+      error = error || `stream closed (code ${stream.rstCode})`;
+      finish(null);
+    });
+    stream.setTimeout(timeoutMs, () => {
+      timeout = true;
+      error = "timeout";
+      finish(null);
+      stream.close(http2.constants.NGHTTP2_CANCEL);
+    });
+    stream.end();
+  });
+}
+
+module.exports = {
+  negotiateAlpn,
+  fetchUrlMetricsH2,
+};
@@ -7,6 +7,8 @@ const crypto = require("crypto");
 const http = require("http");
 const https = require("https");
 const { HttpsProxyAgent } = require("https-proxy-agent");
+const { classifyCache, parseCacheRules } = require("./cache");
+const { negotiateAlpn, fetchUrlMetricsH2 } = require("./h2");
 
 const PROXY_URL =
   process.env.HTTPS_PROXY ||
@@ -32,6 +34,63 @@ function getAgent(url) {
   return url.protocol === "https:" ? PROXY_AGENT : undefined;
 }
 
+function createKeepAliveAgent(target) {
+  if (target.protocol !== "https:") return new http.Agent({ keepAlive: true });
+  return PROXY_URL ? new HttpsProxyAgent(PROXY_URL, { keepAlive: true }) : new https.Agent({ keepAlive: true });
+}
+
+const HTTP_VERSIONS = ["1.1", "2", "auto"];
+
+/**
+ * Connection mode for fetchUrlMetrics: "cold" opens a fresh socket per request, "warm" uses a
+ * dedicated keep-alive agent (HTTP/2: one multiplexed session) per host; prime(url) opens the
+ * connection before measuring. httpVersion "auto" picks h2 per host by ALPN (HTTPS only).
+ */
+function createConnectionPool(mode, { httpVersion = "1.1" } = {}) {
+  if (!HTTP_VERSIONS.includes(httpVersion)) {
+    throw new Error(`Unknown HTTP version: ${httpVersion} (${HTTP_VERSIONS.join(", ")})`);
+  }
+  if (httpVersion === "2" && PROXY_URL) throw new Error("HTTP/2 is not supported through HTTPS_PROXY");
+  const agents = new Map();
+  const sessions = new Map();
+  const alpn = new Map();
+  const pool = {
+    mode,
+    httpVersion,
+    agentFor(target) {
+      if (mode === "cold") return getAgent(target) || false;
+      const key = `${target.protocol}//${target.host}`;
+      if (!agents.has(key)) agents.set(key, createKeepAliveAgent(target));
+      return agents.get(key);
+    },
+    // Open HTTP/2 sessions to multiplex over; null = a session per request
+    sessions: mode === "warm" ? sessions : null,
+    async useHttp2(target, timeoutMs) {
+      if (httpVersion !== "auto") return httpVersion === "2";
+      if (target.protocol !== "https:" || PROXY_URL) return false;
+      if (!alpn.has(target.host)) {
+        alpn.set(target.host, negotiateAlpn(target, timeoutMs).catch(() => {
+          // Not cached: the measured request reports the connection error itself
+          alpn.delete(target.host);
+          return "http/1.1";
+        }));
+      }
+      return (await alpn.get(target.host)) === "h2";
+    },
+    async prime(url, timeoutMs) {
+      if (mode !== "warm") return null;
+      return fetchUrlMetrics(url, timeoutMs, { connections: pool });
+    },
+    destroy() {
+      for (const agent of agents.values()) agent.destroy();
+      agents.clear();
+      for (const session of sessions.values()) session.destroy();
+      sessions.clear();
+    },
+  };
+  return pool;
+}
+
 async function requestJson(url, timeoutMs) {
   const target = new URL(url);
   const client = getClient(target);
@@ -97,61 +156,125 @@ async function requestText(url, timeoutMs) {
   });
 }
 
-async function fetchUrlMetrics(url, timeoutMs) {
+/**
+ * GET a URL into a Buffer; resolves for any HTTP status, rejects on network errors/timeout
+ */
+async function requestBuffer(url, timeoutMs, headers = {}) {
   const target = new URL(url);
   const client = getClient(target);
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method: "GET",
+        headers: { "user-agent": "cdntest-bench", ...headers },
+        agent: getAgent(target),
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          resolve({ statusCode: res.statusCode || null, headers: res.headers, body: Buffer.concat(chunks) });
+        });
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+    req.setTimeout(timeoutMs, () => req.destroy(new Error("timeout")));
+    req.end();
+  });
+}
+
+/**
+ * Timed GET. Besides ttfbMs/totalMs (from request start) reports connection phases from socket
+ * events: dnsMs, connectMs (TCP), tlsMs (handshake), downloadMs (first to last byte). Phases
+ * are null when the socket was reused (reusedSocket); dnsMs is 0 for IP literals.
+ * connections: pool from createConnectionPool (connection mode, HTTP version); without it the
+ * request is HTTP/1.1 and the default agent decides on reuse.
+ */
+async function fetchUrlMetrics(url, timeoutMs, { cacheRules = parseCacheRules(), headers = {}, connections = null } = {}) {
+  const target = new URL(url);
+  if (connections && (await connections.useHttp2(target, timeoutMs))) {
+    return fetchUrlMetricsH2(target, timeoutMs, { cacheRules, headers, sessions: connections.sessions });
+  }
+  const client = getClient(target);
   return new Promise((resolve) => {
-    const startMs = Date.now();
+    const startMs = performance.now();
+    const since = (from, to) => (from != null && to != null ? Math.round(to - from) : null);
     let done = false;
     let statusCode = null;
     let remoteIp = null;
     let httpVersion = null;
+    let lookupAt = null;
+    let connectAt = null;
+    let secureAt = null;
     let responseAt = null;
     let firstByteAt = null;
     let sizeBytes = 0;
+    let contentType = null;
     let timeout = false;
     let error = null;
+    let cache = null;
 
-    const finish = (payload) => {
+    const finish = (endAt) => {
       if (done) return;
       done = true;
-      resolve(payload);
+      const ttfbAt = firstByteAt ?? responseAt;
+      resolve({
+        statusCode,
+        remoteIp,
+        httpVersion,
+        sizeBytes,
+        contentType,
+        reusedSocket: req.reusedSocket,
+        dnsMs: lookupAt != null ? since(startMs, lookupAt) : connectAt != null ? 0 : null,
+        connectMs: since(lookupAt ?? startMs, connectAt),
+        tlsMs: since(connectAt, secureAt),
+        ttfbMs: since(startMs, ttfbAt),
+        downloadMs: since(ttfbAt, endAt),
+        totalMs: since(startMs, endAt),
+        timeout,
+        error,
+        cacheStatus: cache ? cache.status : null,
+        cacheHeaders: cache ? cache.headers : null,
+      });
     };
 
     const req = client.request(
       target,
       {
         method: "GET",
-        headers: { "user-agent": "cdntest-bench" },
-        agent: getAgent(target),
+        headers: { "user-agent": "cdntest-bench", ...headers },
+        agent: connections ? connections.agentFor(target) : getAgent(target),
       },
       (res) => {
         statusCode = res.statusCode || null;
+        contentType = res.headers["content-type"] ? res.headers["content-type"].split(";")[0].trim() : null;
         httpVersion = res.httpVersion;
         remoteIp = res.socket?.remoteAddress || null;
-        responseAt = Date.now();
+        cache = classifyCache(res.headers, cacheRules);
+        responseAt = performance.now();
         res.on("data", (chunk) => {
-          if (firstByteAt == null) firstByteAt = Date.now();
+          if (firstByteAt == null) firstByteAt = performance.now();
           sizeBytes += chunk.length;
         });
-        res.on("end", () => {
-          const endMs = Date.now();
-          const ttfbMs = firstByteAt != null
-            ? firstByteAt - startMs
-            : responseAt != null
-              ? responseAt - startMs
-              : null;
-          finish({ statusCode, remoteIp, httpVersion, sizeBytes, ttfbMs, totalMs: endMs - startMs, timeout, error });
-        });
+        res.on("end", () => finish(performance.now()));
         res.on("error", (err) => {
           error = err.message;
-          finish({ statusCode, remoteIp, httpVersion, sizeBytes, ttfbMs: responseAt ? responseAt - startMs : null, totalMs: null, timeout, error });
+          finish(null);
         });
       }
     );
+    req.on("socket", (socket) => {
+      // A reused keep-alive socket never emits these again; listeners would only pile up on it
+      if (req.reusedSocket || !socket.connecting) return;
+      socket.once("lookup", () => (lookupAt = performance.now()));
+      socket.once("connect", () => (connectAt = performance.now()));
+      socket.once("secureConnect", () => (secureAt = performance.now()));
+    });
     req.on("error", (err) => {
       error = err.message;
-      finish({ statusCode, remoteIp, httpVersion, sizeBytes, ttfbMs: null, totalMs: null, timeout, error });
+      finish(null);
     });
     req.setTimeout(timeoutMs, () => {
       timeout = true;
@@ -325,6 +448,9 @@ async function uploadFileS3({ bucket, key, region, endpoint, credentials, filePa
 module.exports = {
   requestJson,
   requestText,
+  requestBuffer,
+  HTTP_VERSIONS,
+  createConnectionPool,
   fetchUrlMetrics,
   uploadFilePresigned,
   uploadFileS3,
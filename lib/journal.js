@@ -0,0 +1,85 @@
+/**
+ * Run journal: append-only NDJSON with every finished run, so a crashed or interrupted
+ * `run` keeps its data and can be resumed with --resume <runId>
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const JOURNAL_VERSION = 1;
+
+function journalPath(outputDir, runId) {
+  return path.join(outputDir, `${runId}.journal.ndjson`);
+}
+
+// Plan step identity, stable across restarts (the variant order is shuffled only once)
+function planKey(step) {
+  return {
+    throttle: step.throttle.name,
+    page: step.page.id,
+    run_index: step.runIndex,
+    browser: step.browserName,
+    variant: step.variant,
+  };
+}
+
+/**
+ * Start a new journal: header line with the run plan. Returns { path, append(entry) }.
+ */
+async function createJournal(filePath, header) {
+  await fs.promises.writeFile(filePath, `${JSON.stringify({ type: "header", version: JOURNAL_VERSION, ...header })}\n`);
+  return openAppender(filePath);
+}
+
+function openAppender(filePath) {
+  return {
+    path: filePath,
+    // Sync append: the entry is on disk before the next run starts, even if the process dies
+    append(entry) {
+      fs.appendFileSync(filePath, `${JSON.stringify({ type: "run", ...entry })}\n`);
+    },
+  };
+}
+
+/**
+ * Read a journal for resume: { header, entries, journal }. A truncated last line
+ * (process killed mid-write) is dropped.
+ */
+async function loadJournal(filePath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") throw new Error(`Journal not found: ${filePath}`);
+    throw error;
+  }
+  const lines = text.split("\n").filter((line) => line.trim());
+  const parsed = [];
+  for (let i = 0; i < lines.length; i++) {
+    try {
+      parsed.push(JSON.parse(lines[i]));
+    } catch (error) {
+      if (i === lines.length - 1) break;
+      throw new Error(`${filePath}:${i + 1}: invalid journal line`);
+    }
+  }
+  const [header, ...entries] = parsed;
+  if (!header || header.type !== "header" || !Array.isArray(header.plan)) {
+    throw new Error(`${filePath}: not a run journal`);
+  }
+  if (header.version !== JOURNAL_VERSION) {
+    throw new Error(`${filePath}: unsupported journal version ${header.version}`);
+  }
+  // Rewrite without the truncated tail so new entries start on a clean line
+  if (parsed.length < lines.length || !text.endsWith("\n")) {
+    await fs.promises.writeFile(filePath, `${parsed.map((entry) => JSON.stringify(entry)).join("\n")}\n`);
+  }
+  return { header, entries: entries.filter((e) => e.type === "run"), journal: openAppender(filePath) };
+}
+
+module.exports = {
+  journalPath,
+  planKey,
+  createJournal,
+  loadJournal,
+};
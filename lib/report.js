@@ -1,147 +1,536 @@
 /**
- * Report generation: CSV with one row per run + summary row
+ * Report generation: CSV with one row per run + summary row, self-contained HTML report
  */
 
 const fs = require("fs");
-const { median, percentile, improvement, stdDev, formatMs, formatPercent } = require("./utils");
-
-const CSV_HEADER = [
-  "timestamp",
-  "page_id",
-  "variant",
-  "run",
-  "images_ms",
-  "avg_img_ms",
-  "ttfb_ms",
-  "lcp_ms",
-  "images_total",
-  "images_failed",
-  "errors",
-  "city",
-  "city_geo",
-  // Summary columns (filled only in TOTAL row)
-  "origin_median",
-  "origin_p90",
-  "origin_avg_img",
-  "cdn_median",
-  "cdn_p90",
-  "cdn_avg_img",
-  "improvement_%",
-  "improvement_p90_%",
-].join(",");
-
-function recordToCsvRow(record) {
-  return [
-    record.timestamp_iso,
-    record.page_id,
-    record.variant,
-    record.run_index + 1,
-    record.images_loaded_ms ?? "",
-    record.avg_image_ms ?? "",
-    record.ttfb_ms ?? "",
-    record.lcp_ms ?? "",
-    record.images_total ?? "",
-    record.images_failed ?? "",
-    record.errors_count ?? "",
-    record.city ?? "",
-    record.city_geo ?? "",
-    "", "", "", "", "", "", "", "",
-  ].join(",");
-}
-
-function computeSummary(records) {
-  const origin = records.filter((r) => r.variant === "origin");
-  const cdn = records.filter((r) => r.variant === "cdn");
-
-  const originValues = origin.map((r) => r.images_loaded_ms).filter((v) => v != null);
-  const cdnValues = cdn.map((r) => r.images_loaded_ms).filter((v) => v != null);
-  const originAvgImg = origin.map((r) => r.avg_image_ms).filter((v) => v != null);
-  const cdnAvgImg = cdn.map((r) => r.avg_image_ms).filter((v) => v != null);
-
-  const originMedian = originValues.length ? median(originValues) : null;
-  const originP90 = originValues.length ? percentile(originValues, 0.9) : null;
-  const originStddev = originValues.length > 1 ? stdDev(originValues) : null;
-  const originAvgImgMedian = originAvgImg.length ? median(originAvgImg) : null;
-
-  const cdnMedian = cdnValues.length ? median(cdnValues) : null;
-  const cdnP90 = cdnValues.length ? percentile(cdnValues, 0.9) : null;
-  const cdnStddev = cdnValues.length > 1 ? stdDev(cdnValues) : null;
-  const cdnAvgImgMedian = cdnAvgImg.length ? median(cdnAvgImg) : null;
-
-  const improvementMedian = improvement(originMedian, cdnMedian);
-  const improvementP90 = improvement(originP90, cdnP90);
+const {
+  IMAGE_PHASES: PHASES,
+  median,
+  mean,
+  percentile,
+  minOf,
+  maxOf,
+  improvement,
+  stdDev,
+  mannWhitneyU,
+  bootstrapCi,
+  formatMs,
+  formatPercent,
+} = require("./utils");
+const { formatCacheHeaders } = require("./cache");
+
+const CONFIDENCE = 0.95;
+const BOOTSTRAP_ITERATIONS = 2000;
+
+// Per-run columns: [header, value(record)]. TOTAL row reuses them with a summary pseudo-record.
+const RECORD_COLUMNS = [
+  ["timestamp", (r) => r.timestamp_iso],
+  ["page_id", (r) => r.page_id],
+  ["variant", (r) => r.variant],
+  ["run", (r) => (r.run_index != null ? r.run_index + 1 : "-")],
+  ["images_ms", (r) => r.images_loaded_ms],
+  ["avg_img_ms", (r) => r.avg_image_ms],
+  ["ttfb_ms", (r) => r.ttfb_ms],
+  ["lcp_ms", (r) => r.lcp_ms],
+  ["fcp_ms", (r) => r.fcp_ms],
+  ["cls", (r) => r.cls],
+  ["dcl_ms", (r) => r.dcl_ms],
+  ["load_ms", (r) => r.load_ms],
+  ["transfer_bytes", (r) => r.transfer_bytes],
+  ["dns_ms", (r) => r.dns_ms],
+  ["connect_ms", (r) => r.connect_ms],
+  ["tls_ms", (r) => r.tls_ms],
+  ["wait_ms", (r) => r.wait_ms],
+  ["download_ms", (r) => r.download_ms],
+  ["images_no_tao", (r) => r.images_no_tao],
+  ["protocols", (r) => formatProtocols(r.protocols)],
+  ["new_connections", (r) => r.new_connections],
+  ["cache_hits", (r) => r.cache_hits],
+  ["cache_misses", (r) => r.cache_misses],
+  ["cache_unknown", (r) => r.cache_unknown],
+  ["cache_hit_ratio", (r) => formatRatio(hitRatio(r.cache_hits, r.cache_misses))],
+  ["cache_hit_avg_ms", (r) => r.cache_hit_avg_ms],
+  ["cache_miss_avg_ms", (r) => r.cache_miss_avg_ms],
+  ["images_total", (r) => r.images_total],
+  ["images_failed", (r) => r.images_failed],
+  ["errors", (r) => r.errors_count],
+  ["city", (r) => r.city],
+  ["city_geo", (r) => r.city_geo],
+  ["scenario", (r) => r.scenario],
+  ["throttle", (r) => r.throttle],
+  ["browser", (r) => r.browser],
+  ["browser_version", (r) => r.browser_version],
+  ["cache_disable", (r) => r.cache_disable],
+  ["device", (r) => r.device],
+  ["viewport", (r) => r.viewport],
+  ["dpr", (r) => r.device_pixel_ratio],
+  ["user_agent", (r) => r.user_agent],
+  ["har_path", (r) => r.har_path],
+  ["worker", (r) => r.worker],
+];
+
+function csvCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Protocol mix as "h2=15;h3=3" (no commas, stays a single CSV cell)
+function formatProtocols(counts) {
+  if (!counts) return "";
+  return Object.keys(counts).sort().map((p) => `${p}=${counts[p]}`).join(";");
+}
+
+function mergeProtocols(records) {
+  const merged = {};
+  for (const r of records) {
+    for (const [protocol, count] of Object.entries(r.protocols || {})) {
+      merged[protocol] = (merged[protocol] || 0) + count;
+    }
+  }
+  return merged;
+}
+
+// Share of HIT among classified (HIT + MISS) images
+function hitRatio(hits, misses) {
+  const classified = (hits || 0) + (misses || 0);
+  return classified > 0 ? hits / classified : null;
+}
+
+function formatRatio(value) {
+  return value != null ? value.toFixed(2) : "";
+}
+
+function medianOf(records, field) {
+  const values = records.map((r) => r[field]).filter((v) => v != null);
+  return values.length ? Math.round(median(values)) : null;
+}
+
+// CLS is unitless, keep 3 decimals
+function medianCls(records) {
+  const values = records.map((r) => r.cls).filter((v) => v != null);
+  return values.length ? Number(median(values).toFixed(3)) : null;
+}
+
+function formatCls(value) {
+  return value != null ? value.toFixed(3) : "n/a";
+}
+
+function formatBytes(value) {
+  return value != null ? `${Math.round(value / 1024)}KB` : "n/a";
+}
+
+function roundOrNull(value) {
+  return value != null ? Math.round(value) : null;
+}
+
+function listVariants(records) {
+  return [...new Set(records.map((r) => r.variant))];
+}
+
+function pickBaseline(variants, baseline) {
+  if (baseline && variants.includes(baseline)) return baseline;
+  return variants.includes("origin") ? "origin" : variants[0] || null;
+}
+
+/**
+ * Per-variant stats plus improvement of every variant against the baseline
+ */
+function computeSummary(records, { variants, baseline } = {}) {
+  const variantList = variants && variants.length ? variants : listVariants(records);
+  const baselineName = pickBaseline(variantList, baseline);
+
+  const stats = variantList.map((variant) => {
+    const entries = records.filter((r) => r.variant === variant);
+    const values = entries.map((r) => r.images_loaded_ms).filter((v) => v != null);
+    const avgImg = entries.map((r) => r.avg_image_ms).filter((v) => v != null);
+    const phases = {};
+    for (const phase of PHASES) {
+      const phaseValues = entries.map((r) => r[`${phase}_ms`]).filter((v) => v != null);
+      phases[phase] = phaseValues.length ? Math.round(median(phaseValues)) : null;
+    }
+    return {
+      variant,
+      runs: entries.length,
+      values,
+      median: values.length ? median(values) : null,
+      p90: values.length ? percentile(values, 0.9) : null,
+      stddev: values.length > 1 ? stdDev(values) : null,
+      avgImg: avgImg.length ? median(avgImg) : null,
+      lcp: medianOf(entries, "lcp_ms"),
+      fcp: medianOf(entries, "fcp_ms"),
+      cls: medianCls(entries),
+      dcl: medianOf(entries, "dcl_ms"),
+      load: medianOf(entries, "load_ms"),
+      transferBytes: medianOf(entries, "transfer_bytes"),
+      phases,
+      protocols: mergeProtocols(entries),
+      newConnections: entries.reduce((sum, r) => sum + (r.new_connections || 0), 0),
+      cacheHits: entries.reduce((sum, r) => sum + (r.cache_hits || 0), 0),
+      cacheMisses: entries.reduce((sum, r) => sum + (r.cache_misses || 0), 0),
+      cacheHitAvg: medianOf(entries, "cache_hit_avg_ms"),
+      cacheMissAvg: medianOf(entries, "cache_miss_avg_ms"),
+      imagesNoTao: entries.reduce((sum, r) => sum + (r.images_no_tao || 0), 0),
+      errors: entries.reduce((sum, r) => sum + (r.errors_count || 0), 0),
+    };
+  });
+
+  const base = stats.find((s) => s.variant === baselineName) || null;
+  const compare = (s) => {
+    if (!base || s === base) return { medianCi: null, p90Ci: null, pValue: null };
+    const ciOptions = { iterations: BOOTSTRAP_ITERATIONS, confidence: CONFIDENCE };
+    const test = mannWhitneyU(base.values, s.values);
+    return {
+      medianCi: bootstrapCi(base.values, s.values, (a, b) => improvement(median(a), median(b)), ciOptions),
+      p90Ci: bootstrapCi(base.values, s.values, (a, b) => improvement(percentile(a, 0.9), percentile(b, 0.9)), ciOptions),
+      pValue: test ? test.p : null,
+    };
+  };
 
   return {
-    originMedian: originMedian != null ? Math.round(originMedian) : null,
-    originP90: originP90 != null ? Math.round(originP90) : null,
-    originStddev: originStddev != null ? Math.round(originStddev) : null,
-    originAvgImg: originAvgImgMedian != null ? Math.round(originAvgImgMedian) : null,
-    cdnMedian: cdnMedian != null ? Math.round(cdnMedian) : null,
-    cdnP90: cdnP90 != null ? Math.round(cdnP90) : null,
-    cdnStddev: cdnStddev != null ? Math.round(cdnStddev) : null,
-    cdnAvgImg: cdnAvgImgMedian != null ? Math.round(cdnAvgImgMedian) : null,
-    improvementMedian,
-    improvementP90,
-    originErrors: origin.reduce((sum, r) => sum + (r.errors_count || 0), 0),
-    cdnErrors: cdn.reduce((sum, r) => sum + (r.errors_count || 0), 0),
+    baseline: baselineName,
+    confidence: CONFIDENCE,
+    variants: stats.map((s) => ({
+      variant: s.variant,
+      runs: s.runs,
+      median: roundOrNull(s.median),
+      p90: roundOrNull(s.p90),
+      stddev: roundOrNull(s.stddev),
+      avgImg: roundOrNull(s.avgImg),
+      lcp: s.lcp,
+      fcp: s.fcp,
+      cls: s.cls,
+      dcl: s.dcl,
+      load: s.load,
+      transferBytes: s.transferBytes,
+      phases: s.phases,
+      protocols: s.protocols,
+      newConnections: s.newConnections,
+      cacheHits: s.cacheHits,
+      cacheMisses: s.cacheMisses,
+      cacheHitRatio: hitRatio(s.cacheHits, s.cacheMisses),
+      cacheHitAvg: s.cacheHitAvg,
+      cacheMissAvg: s.cacheMissAvg,
+      imagesNoTao: s.imagesNoTao,
+      errors: s.errors,
+      improvementMedian: base && s !== base ? improvement(base.median, s.median) : null,
+      improvementP90: base && s !== base ? improvement(base.p90, s.p90) : null,
+      ...compare(s),
+    })),
   };
 }
 
-function summaryToCsvRow(summary, timestamp, meta) {
-  return [
-    timestamp,
-    "TOTAL",
-    "-",
-    "-",
-    "", "", "", "", "", "", "",
-    meta && meta.city ? meta.city : "",
-    meta && meta.city_geo ? meta.city_geo : "",
-    summary.originMedian ?? "",
-    summary.originP90 ?? "",
-    summary.originAvgImg ?? "",
-    summary.cdnMedian ?? "",
-    summary.cdnP90 ?? "",
-    summary.cdnAvgImg ?? "",
-    summary.improvementMedian != null ? summary.improvementMedian.toFixed(1) : "",
-    summary.improvementP90 != null ? summary.improvementP90.toFixed(1) : "",
-  ].join(",");
-}
-
-function printSummary(summary, meta) {
+function formatImprovement(value) {
+  return value != null ? value.toFixed(1) : "";
+}
+
+function formatPValue(value) {
+  if (value == null) return "";
+  return value < 0.0001 ? value.toExponential(1) : value.toFixed(4);
+}
+
+function formatCi(ci) {
+  if (!ci) return "n/a";
+  return `${formatPercent(ci[0])}..${formatPercent(ci[1])}`;
+}
+
+// Summary columns: [header, value] for each variant, then improvement of each non-baseline variant
+function summaryColumns(summary) {
+  const columns = [];
+  for (const s of summary.variants) {
+    columns.push([`${s.variant}_median`, s.median]);
+    columns.push([`${s.variant}_p90`, s.p90]);
+    columns.push([`${s.variant}_stddev`, s.stddev]);
+    columns.push([`${s.variant}_avg_img`, s.avgImg]);
+    columns.push([`${s.variant}_lcp`, s.lcp]);
+    columns.push([`${s.variant}_fcp`, s.fcp]);
+    columns.push([`${s.variant}_cls`, s.cls]);
+    columns.push([`${s.variant}_dcl`, s.dcl]);
+    columns.push([`${s.variant}_load`, s.load]);
+    columns.push([`${s.variant}_transfer_bytes`, s.transferBytes]);
+    for (const phase of PHASES) {
+      columns.push([`${s.variant}_${phase}`, s.phases[phase]]);
+    }
+    columns.push([`${s.variant}_images_no_tao`, s.imagesNoTao]);
+    columns.push([`${s.variant}_protocols`, formatProtocols(s.protocols)]);
+    columns.push([`${s.variant}_new_connections`, s.newConnections]);
+    columns.push([`${s.variant}_cache_hit_ratio`, formatRatio(s.cacheHitRatio)]);
+    columns.push([`${s.variant}_cache_hit_avg_img`, s.cacheHitAvg]);
+    columns.push([`${s.variant}_cache_miss_avg_img`, s.cacheMissAvg]);
+  }
+  for (const s of summary.variants) {
+    if (s.variant === summary.baseline) continue;
+    columns.push([`${s.variant}_improvement_%`, formatImprovement(s.improvementMedian)]);
+    columns.push([`${s.variant}_improvement_p90_%`, formatImprovement(s.improvementP90)]);
+    columns.push([`${s.variant}_improvement_ci_low_%`, formatImprovement(s.medianCi && s.medianCi[0])]);
+    columns.push([`${s.variant}_improvement_ci_high_%`, formatImprovement(s.medianCi && s.medianCi[1])]);
+    columns.push([`${s.variant}_improvement_p90_ci_low_%`, formatImprovement(s.p90Ci && s.p90Ci[0])]);
+    columns.push([`${s.variant}_improvement_p90_ci_high_%`, formatImprovement(s.p90Ci && s.p90Ci[1])]);
+    columns.push([`${s.variant}_p_value`, formatPValue(s.pValue)]);
+  }
+  return columns;
+}
+
+/**
+ * Split records by `fields` (e.g. throttle profile); one summary is computed per group
+ */
+function groupRecords(records, fields) {
+  if (!fields || fields.length === 0) return [{ group: {}, records }];
+  const groups = new Map();
+  for (const record of records) {
+    const group = Object.fromEntries(fields.map((field) => [field, record[field] ?? null]));
+    const key = JSON.stringify(group);
+    if (!groups.has(key)) groups.set(key, { group, records: [] });
+    groups.get(key).records.push(record);
+  }
+  return [...groups.values()];
+}
+
+function groupLabel(group) {
+  return Object.entries(group).map(([field, value]) => `${field}=${value ?? "n/a"}`).join(" ");
+}
+
+function buildCsv(records, summaries, timestamp, meta) {
+  const extra = summaryColumns(summaries[0].summary);
+  const header = [...RECORD_COLUMNS.map(([name]) => name), ...extra.map(([name]) => name)];
+  const blanks = extra.map(() => "");
+  const cells = (record) => RECORD_COLUMNS.map(([, pick]) => csvCell(pick(record)));
+
+  const lines = [header.join(",")];
+  for (const record of records) {
+    lines.push([...cells(record), ...blanks].join(","));
+  }
+  for (const { group, summary } of summaries) {
+    const total = {
+      timestamp_iso: timestamp,
+      page_id: "TOTAL",
+      variant: "-",
+      city: meta && meta.city ? meta.city : "",
+      city_geo: meta && meta.city_geo ? meta.city_geo : "",
+      scenario: meta && meta.scenario ? meta.scenario : "",
+      ...group,
+    };
+    lines.push([...cells(total), ...summaryColumns(summary).map(([, value]) => value ?? "")].join(","));
+  }
+  return lines.join("\n");
+}
+
+function printSummary(summary, meta, title = "") {
   const city = meta && meta.city ? meta.city : "n/a";
   const cityGeo = meta && meta.city_geo ? meta.city_geo : "n/a";
   const cityNote = `city ${city} geo ${cityGeo}`;
+  const width = Math.max(...summary.variants.map((s) => s.variant.length + 1), 0);
   console.log("");
-  console.log("=== SUMMARY ===");
-  console.log(
-    `origin: median ${formatMs(summary.originMedian)}, p90 ${formatMs(summary.originP90)}, avg/img ${formatMs(summary.originAvgImg)}, errors ${summary.originErrors}, ${cityNote}`
-  );
-  console.log(
-    `cdn:    median ${formatMs(summary.cdnMedian)}, p90 ${formatMs(summary.cdnP90)}, avg/img ${formatMs(summary.cdnAvgImg)}, errors ${summary.cdnErrors}, ${cityNote}`
-  );
-  console.log(
-    `improvement: median ${formatPercent(summary.improvementMedian)}, p90 ${formatPercent(summary.improvementP90)}, ${cityNote}`
-  );
+  console.log(title ? `=== SUMMARY ${title} ===` : "=== SUMMARY ===");
+  for (const s of summary.variants) {
+    const label = `${s.variant}:`.padEnd(width);
+    const tag = s.variant === summary.baseline ? " (baseline)" : "";
+    console.log(
+      `${label} median ${formatMs(s.median)}, p90 ${formatMs(s.p90)}, stddev ${formatMs(s.stddev)}, avg/img ${formatMs(s.avgImg)}, lcp ${formatMs(s.lcp)}, errors ${s.errors}${tag}, ${cityNote}`
+    );
+  }
+  for (const s of summary.variants) {
+    const label = `${s.variant}:`.padEnd(width);
+    console.log(
+      `${label} vitals: fcp ${formatMs(s.fcp)}, lcp ${formatMs(s.lcp)}, cls ${formatCls(s.cls)}, dcl ${formatMs(s.dcl)}, load ${formatMs(s.load)}, transfer ${formatBytes(s.transferBytes)}`
+    );
+    const phases = PHASES.map((phase) => `${phase} ${formatMs(s.phases[phase])}`).join(", ");
+    const noTao = s.imagesNoTao > 0 ? `, no Timing-Allow-Origin: ${s.imagesNoTao} images (phases n/a)` : "";
+    console.log(`${label} phases: ${phases}${noTao}`);
+    const protocols = formatProtocols(s.protocols) || "n/a";
+    console.log(`${label} protocols: ${protocols}, new connections ${s.newConnections} over ${s.runs} runs`);
+    const ratio = s.cacheHitRatio != null ? `${(s.cacheHitRatio * 100).toFixed(1)}%` : "n/a";
+    console.log(
+      `${label} cache: hit ratio ${ratio} (${s.cacheHits} hit / ${s.cacheMisses} miss), avg/img hit ${formatMs(s.cacheHitAvg)} miss ${formatMs(s.cacheMissAvg)}`
+    );
+  }
+  const ciLabel = `${Math.round(summary.confidence * 100)}% CI`;
+  for (const s of summary.variants) {
+    if (s.variant === summary.baseline) continue;
+    const significant = s.pValue != null && s.pValue < 1 - summary.confidence;
+    const pNote = s.pValue != null ? `p=${formatPValue(s.pValue)}${significant ? "" : " (not significant)"}` : "p=n/a";
+    console.log(
+      `improvement ${s.variant} vs ${summary.baseline}: median ${formatPercent(s.improvementMedian)} [${ciLabel} ${formatCi(s.medianCi)}], p90 ${formatPercent(s.improvementP90)} [${ciLabel} ${formatCi(s.p90Ci)}], ${pNote}, ${cityNote}`
+    );
+  }
+}
+
+/**
+ * images_ms per worker for --workers > 1, to check contention between parallel runs.
+ * Returns [] when all records come from one worker.
+ */
+function computeWorkerStats(records) {
+  const workers = [...new Set(records.map((r) => r.worker).filter((w) => w != null))].sort((a, b) => a - b);
+  if (workers.length < 2) return [];
+  return workers.map((worker) => {
+    const entries = records.filter((r) => r.worker === worker);
+    const values = entries.map((r) => r.images_loaded_ms).filter((v) => v != null);
+    return {
+      worker,
+      runs: entries.length,
+      median: medianOf(entries, "images_loaded_ms"),
+      p90: values.length ? Math.round(percentile(values, 0.9)) : null,
+      errors: entries.reduce((sum, r) => sum + (r.errors_count || 0), 0),
+    };
+  });
 }
 
+function printWorkerStats(workerStats) {
+  if (workerStats.length === 0) return;
+  console.log("");
+  console.log("=== WORKERS ===");
+  for (const w of workerStats) {
+    console.log(`worker ${w.worker}: median ${formatMs(w.median)}, p90 ${formatMs(w.p90)}, runs ${w.runs}, errors ${w.errors}`);
+  }
+}
+
+/**
+ * Write the run CSV (skipped when outputPath is null) and print summaries. Returns
+ * [{ group, summary }], one entry per combination of `meta.groupBy` fields
+ * (a single entry when nothing to group by).
+ */
 async function saveReport({ outputPath, records, meta }) {
-  const lines = [CSV_HEADER];
+  const variants = (meta && meta.variants) || listVariants(records);
+  const groups = groupRecords(records, meta && meta.groupBy);
+  const summaries = groups.map(({ group, records: entries }) => ({
+    group,
+    summary: computeSummary(entries, { variants, baseline: meta && meta.baseline }),
+  }));
 
-  for (const record of records) {
-    lines.push(recordToCsvRow(record));
+  if (outputPath) {
+    await fs.promises.writeFile(outputPath, buildCsv(records, summaries, new Date().toISOString(), meta));
+  }
+  for (const { group, summary } of summaries) {
+    printSummary(summary, meta, summaries.length > 1 ? groupLabel(group) : "");
   }
+  printWorkerStats(computeWorkerStats(records));
 
-  const summary = computeSummary(records);
-  lines.push(summaryToCsvRow(summary, new Date().toISOString(), meta));
+  return summaries;
+}
 
-  await fs.promises.writeFile(outputPath, lines.join("\n"));
-  printSummary(summary, meta);
+// Per-image timings export: one row per (run, variant, image URL)
+const IMAGE_TIMING_COLUMNS = [
+  ["timestamp", (r) => r.timestamp_iso],
+  ["page_id", (r) => r.page_id],
+  ["variant", (r) => r.variant],
+  ["run", (r) => r.run_index + 1],
+  ["url", (r) => r.url],
+  ["ttfb_ms", (r) => r.ttfb_ms],
+  ["duration_ms", (r) => r.duration_ms],
+  ["response_end_ms", (r) => r.response_end_ms],
+  ["transfer_size", (r) => r.transfer_size],
+  ["dns_ms", (r) => r.dns_ms],
+  ["connect_ms", (r) => r.connect_ms],
+  ["tls_ms", (r) => r.tls_ms],
+  ["wait_ms", (r) => r.wait_ms],
+  ["download_ms", (r) => r.download_ms],
+  ["protocol", (r) => r.protocol],
+  ["new_connection", (r) => (r.new_connection == null ? "" : r.new_connection ? 1 : 0)],
+  ["cache_status", (r) => r.cache_status],
+  ["cache_headers", (r) => formatCacheHeaders(r.cache_headers)],
+  ["no_tao", (r) => (r.no_tao ? 1 : 0)],
+  ["no_timing", (r) => (r.no_timing ? 1 : 0)],
+];
 
-  return summary;
+function imageTimingRows(record, timings) {
+  return timings.map((t) => ({
+    timestamp_iso: record.timestamp_iso,
+    page_id: record.page_id,
+    variant: record.variant,
+    run_index: record.run_index,
+    url: t.url,
+    ttfb_ms: t.ttfbMs,
+    duration_ms: t.durationMs,
+    response_end_ms: t.responseEndMs,
+    transfer_size: t.transferSize,
+    dns_ms: t.dnsMs,
+    connect_ms: t.connectMs,
+    tls_ms: t.tlsMs,
+    wait_ms: t.waitMs,
+    download_ms: t.downloadMs,
+    protocol: t.protocol,
+    new_connection: t.newConnection,
+    cache_status: t.cacheStatus,
+    cache_headers: t.cacheHeaders,
+    no_tao: t.noTao,
+    no_timing: t.noTiming,
+  }));
 }
 
-// Image benchmark report
-function computeImageStats(records) {
+async function saveImageTimings({ outputPath, rows, format }) {
+  let data;
+  if (format === "ndjson") {
+    data = rows.map((row) => JSON.stringify(row)).join("\n");
+  } else {
+    const lines = [IMAGE_TIMING_COLUMNS.map(([name]) => name).join(",")];
+    for (const row of rows) {
+      lines.push(IMAGE_TIMING_COLUMNS.map(([, pick]) => csvCell(pick(row))).join(","));
+    }
+    data = lines.join("\n");
+  }
+  await fs.promises.writeFile(outputPath, `${data}\n`);
+}
+
+// Image and URL stats are split per request target (origin/cdn) × Accept profile
+const MATRIX_FIELDS = ["target", "accept_profile"];
+
+// Target × profile combinations in first-seen order; one null combination when neither was varied
+function matrixGroups(records) {
+  const groups = groupRecords(records, MATRIX_FIELDS);
+  return groups.length ? groups : [{ group: { target: null, accept_profile: null }, records: [] }];
+}
+
+function inMatrixGroup(record, group) {
+  return MATRIX_FIELDS.every((field) => (record[field] ?? null) === group[field]);
+}
+
+// "origin avif" / "" for the combination
+function matrixName(group) {
+  return MATRIX_FIELDS.map((field) => group[field]).filter(Boolean).join(" ");
+}
+
+function imageStatsOf(records) {
   const totalValues = records.map((r) => r.total_ms).filter((v) => v != null);
   const ttfbValues = records.map((r) => r.ttfb_ms).filter((v) => v != null);
 
@@ -159,9 +548,553 @@ function computeImageStats(records) {
   };
 }
 
+/**
+ * Image benchmark stats per target × Accept profile: [{ target, accept_profile, total_p50_ms, ... }]
+ */
+function computeImageStats(records) {
+  return matrixGroups(records).map(({ group, records: entries }) => ({ ...group, ...imageStatsOf(entries) }));
+}
+
+// URL list report: one row per URL × target × Accept profile
+const URL_STATS_COLUMNS = [
+  ["url", (u) => u.url],
+  ["target", (u) => u.target],
+  ["accept_profile", (u) => u.accept_profile],
+  ["total_mean", (u) => u.totalMean],
+  ["total_p50", (u) => u.totalP50],
+  ["total_p95", (u) => u.totalP95],
+  ["ttfb_mean", (u) => u.ttfbMean],
+  ["ok", (u) => u.ok],
+  ["errors", (u) => u.errors],
+  ["cache_hits", (u) => u.cacheHits],
+  ["cache_misses", (u) => u.cacheMisses],
+  ["cache_hit_p50", (u) => u.cacheHitP50],
+  ["cache_miss_p50", (u) => u.cacheMissP50],
+  ["reused_sockets", (u) => u.reusedSockets],
+  ["new_socket_p50", (u) => u.newSocketP50],
+  ["reused_socket_p50", (u) => u.reusedSocketP50],
+  ["handshake_p50", (u) => u.handshakeP50],
+  ["city", (u) => u.city],
+  ["city_geo", (u) => u.city_geo],
+];
+
+function computeUrlStats(records, urls) {
+  const values = (entries, field) => entries.map((r) => r[field]).filter((v) => v != null);
+  const rounded = (list, fn) => (list.length ? Math.round(fn(list)) : null);
+  const p50 = (list) => percentile(list, 0.5);
+
+  const groups = matrixGroups(records).map(({ group }) => group);
+  return urls.flatMap((url) => groups.map((group) => {
+    const entries = records.filter((r) => r.url === url && inMatrixGroup(r, group));
+    const totalValues = values(entries, "total_ms");
+    const hits = entries.filter((r) => r.cache_status === "HIT");
+    const misses = entries.filter((r) => r.cache_status === "MISS");
+    const reused = entries.filter((r) => r.reused_socket);
+    const fresh = entries.filter((r) => r.reused_socket === false);
+    // DNS + TCP + TLS of requests that opened a new connection
+    const handshakes = fresh
+      .filter((r) => r.connect_ms != null)
+      .map((r) => (r.dns_ms || 0) + r.connect_ms + (r.tls_ms || 0));
+    return {
+      url,
+      ...group,
+      runs: entries.length,
+      totalMean: rounded(totalValues, mean),
+      totalP50: rounded(totalValues, p50),
+      totalP95: rounded(totalValues, (list) => percentile(list, 0.95)),
+      ttfbMean: rounded(values(entries, "ttfb_ms"), mean),
+      ok: entries.filter((r) => r.status_code === 200).length,
+      errors: entries.filter((r) => r.error || (r.status_code && r.status_code >= 400)).length,
+      cacheHits: hits.length,
+      cacheMisses: misses.length,
+      cacheHitP50: rounded(values(hits, "total_ms"), p50),
+      cacheMissP50: rounded(values(misses, "total_ms"), p50),
+      reusedSockets: reused.length,
+      newSocketP50: rounded(values(fresh, "total_ms"), p50),
+      reusedSocketP50: rounded(values(reused, "total_ms"), p50),
+      handshakeP50: rounded(handshakes, p50),
+    };
+  }));
+}
+
+async function saveUrlsReport({ outputPath, stats, meta }) {
+  const lines = [URL_STATS_COLUMNS.map(([name]) => name).join(",")];
+  for (const u of stats) {
+    const row = { ...u, city: meta && meta.city, city_geo: meta && meta.city_geo };
+    lines.push(URL_STATS_COLUMNS.map(([, pick]) => csvCell(pick(row))).join(","));
+  }
+  await fs.promises.writeFile(outputPath, lines.join("\n"));
+}
+
+// Burst mode: one row per batch (the whole list fired at once)
+const BATCH_COLUMNS = ["batch", "requests", "ok", "errors", "bytes", "ttlb_ms", "slowest_url", "city", "city_geo"];
+
+/**
+ * Per-batch stats from timed batches ({ batch, ttlbMs }) and the records tagged with that batch
+ */
+function computeBatchStats(batches, records) {
+  return batches.map(({ batch, ttlbMs }) => {
+    const entries = records.filter((r) => r.batch === batch);
+    const slowest = entries.reduce((max, r) => (r.total_ms != null && (!max || r.total_ms > max.total_ms) ? r : max), null);
+    return {
+      batch,
+      requests: entries.length,
+      ok: entries.filter((r) => r.status_code === 200).length,
+      errors: entries.filter((r) => r.error || (r.status_code && r.status_code >= 400)).length,
+      bytes: entries.reduce((sum, r) => sum + (r.size_bytes || 0), 0),
+      ttlbMs,
+      slowestUrl: slowest ? slowest.request_url : null,
+    };
+  });
+}
+
+async function saveBatchReport({ outputPath, batches, meta }) {
+  const lines = [BATCH_COLUMNS.join(",")];
+  for (const b of batches) {
+    const row = {
+      batch: b.batch + 1,
+      requests: b.requests,
+      ok: b.ok,
+      errors: b.errors,
+      bytes: b.bytes,
+      ttlb_ms: b.ttlbMs,
+      slowest_url: b.slowestUrl,
+      city: meta && meta.city,
+      city_geo: meta && meta.city_geo,
+    };
+    lines.push(BATCH_COLUMNS.map((name) => csvCell(row[name])).join(","));
+  }
+  await fs.promises.writeFile(outputPath, `${lines.join("\n")}\n`);
+}
+
+function printBatchSummary(batches) {
+  const ttlb = batches.map((b) => b.ttlbMs).filter((v) => v != null);
+  const requests = batches.length ? batches[0].requests : 0;
+  console.log("");
+  console.log(`=== BURST (${batches.length} batches × ${requests} requests) ===`);
+  console.log(
+    `batch ttlb: mean ${formatMs(ttlb.length ? mean(ttlb) : null)} p50 ${formatMs(percentile(ttlb, 0.5))} p95 ${formatMs(percentile(ttlb, 0.95))} max ${formatMs(ttlb.length ? maxOf(ttlb) : null)}`
+  );
+}
+
+// ============ HTML report ============
+// One offline file: inline CSS and SVG charts, no external assets.
+
+const CHART_WIDTH = 760;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 16, bottom: 28, left: 56 };
+const PALETTE = ["#4e79a7", "#f28e2b", "#59a14f", "#e15759", "#76b7b2", "#edc948", "#b07aa1", "#9c755f"];
+
+const HTML_STYLE = `
+body { font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+h3 { font-size: 14px; margin: 12px 0 4px; }
+.meta { color: #666; margin-bottom: 16px; }
+table { border-collapse: collapse; margin: 8px 0; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: right; white-space: nowrap; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f5f5f5; }
+svg { display: block; margin: 4px 0 12px; }
+svg text { font-size: 11px; fill: #555; }
+.legend span { display: inline-block; margin-right: 16px; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function colorFor(index) {
+  return PALETTE[index % PALETTE.length];
+}
+
+// ~5 round tick values covering [min, max]
+function niceTicks(min, max, count = 5) {
+  if (max <= min) max = min + 1;
+  const raw = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= raw);
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step / 2; v += step) ticks.push(v);
+  return ticks;
+}
+
+function chartFrame({ yTicks, yScale, xLabels = [], body }) {
+  const { left, right, bottom } = CHART_PADDING;
+  const grid = yTicks.map((t) => {
+    const y = yScale(t).toFixed(1);
+    return `<line x1="${left}" x2="${CHART_WIDTH - right}" y1="${y}" y2="${y}" stroke="#eee"/>` +
+      `<text x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${t}</text>`;
+  });
+  const labels = xLabels.map(({ x, text }) =>
+    `<text x="${x.toFixed(1)}" y="${CHART_HEIGHT - bottom + 16}" text-anchor="middle">${escapeHtml(text)}</text>`
+  );
+  return `<svg width="${CHART_WIDTH}" height="${CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}">` +
+    `${grid.join("")}${body}${labels.join("")}</svg>`;
+}
+
+function linearScale(domainMin, domainMax, rangeMin, rangeMax) {
+  const span = domainMax - domainMin || 1;
+  return (v) => rangeMin + ((v - domainMin) / span) * (rangeMax - rangeMin);
+}
+
+function legendHtml(names) {
+  return `<div class="legend">${names
+    .map((name, i) => `<span><i style="background:${colorFor(i)}"></i>${escapeHtml(name)}</span>`)
+    .join("")}</div>`;
+}
+
+/**
+ * Histograms per series on shared bins, so the distributions are comparable
+ */
+function histogramSvgs(series, unit = "ms") {
+  const all = series.flatMap((s) => s.values);
+  if (all.length === 0) return "<p>No data</p>";
+  const min = minOf(all);
+  const max = maxOf(all);
+  const binCount = Math.min(30, Math.max(5, Math.ceil(Math.sqrt(all.length))));
+  const binWidth = (max - min) / binCount || 1;
+  const counts = series.map((s) => {
+    const bins = new Array(binCount).fill(0);
+    for (const v of s.values) bins[Math.min(binCount - 1, Math.floor((v - min) / binWidth))]++;
+    return bins;
+  });
+  const maxCount = Math.max(1, maxOf(counts.flat()));
+  const { top, right, bottom, left } = CHART_PADDING;
+  const x = linearScale(min, min + binWidth * binCount, left, CHART_WIDTH - right);
+  const y = linearScale(0, maxCount, CHART_HEIGHT - bottom, top);
+  const xLabels = niceTicks(min, max, 6)
+    .filter((t) => t >= min && t <= max)
+    .map((t) => ({ x: x(t), text: `${Math.round(t)}${unit}` }));
+
+  return series
+    .map((s, i) => {
+      const bars = counts[i].map((count, b) => {
+        if (count === 0) return "";
+        const x0 = x(min + b * binWidth);
+        const x1 = x(min + (b + 1) * binWidth);
+        const range = `${Math.round(min + b * binWidth)}–${Math.round(min + (b + 1) * binWidth)}${unit}`;
+        return `<rect x="${x0.toFixed(1)}" y="${y(count).toFixed(1)}" width="${Math.max(1, x1 - x0 - 1).toFixed(1)}" ` +
+          `height="${(y(0) - y(count)).toFixed(1)}" fill="${colorFor(i)}"><title>${range}: ${count}</title></rect>`;
+      });
+      const med = s.values.length ? median(s.values) : null;
+      const medLine = med != null
+        ? `<line x1="${x(med).toFixed(1)}" x2="${x(med).toFixed(1)}" y1="${top}" y2="${CHART_HEIGHT - bottom}" stroke="#222" stroke-dasharray="4 3"><title>median ${Math.round(med)}${unit}</title></line>`
+        : "";
+      const title = `${s.name}: ${s.values.length} runs, median ${formatMs(med != null ? Math.round(med) : null)}`;
+      return `<h3>${escapeHtml(title)}</h3>` +
+        chartFrame({ yTicks: niceTicks(0, maxCount, 4).filter((t) => Number.isInteger(t)), yScale: y, xLabels, body: bars.join("") + medLine });
+    })
+    .join("");
+}
+
+/**
+ * Box plots (whiskers at 1.5 IQR, outliers as dots), one box per item
+ */
+function boxPlotSvg(items, unit = "ms") {
+  const all = items.flatMap((item) => item.values);
+  if (all.length === 0) return "<p>No data</p>";
+  const { top, right, bottom, left } = CHART_PADDING;
+  const yTicks = niceTicks(minOf(all), maxOf(all));
+  const y = linearScale(yTicks[0], yTicks[yTicks.length - 1], CHART_HEIGHT - bottom, top);
+  const slot = (CHART_WIDTH - left - right) / items.length;
+  const boxWidth = Math.min(40, slot * 0.6);
+
+  const body = items.map((item, i) => {
+    if (item.values.length === 0) return "";
+    const cx = left + slot * (i + 0.5);
+    const q1 = percentile(item.values, 0.25);
+    const q2 = median(item.values);
+    const q3 = percentile(item.values, 0.75);
+    const fence = 1.5 * (q3 - q1);
+    const inside = item.values.filter((v) => v >= q1 - fence && v <= q3 + fence);
+    const lo = minOf(inside);
+    const hi = maxOf(inside);
+    const outliers = item.values.filter((v) => v < lo || v > hi);
+    const tip = `${item.label}: median ${Math.round(q2)}${unit}, IQR ${Math.round(q1)}–${Math.round(q3)}${unit}, n=${item.values.length}`;
+    const color = item.color || colorFor(i);
+    return `<g><title>${escapeHtml(tip)}</title>` +
+      `<line x1="${cx}" x2="${cx}" y1="${y(lo).toFixed(1)}" y2="${y(hi).toFixed(1)}" stroke="#555"/>` +
+      `<rect x="${(cx - boxWidth / 2).toFixed(1)}" y="${y(q3).toFixed(1)}" width="${boxWidth.toFixed(1)}" ` +
+      `height="${Math.max(1, y(q1) - y(q3)).toFixed(1)}" fill="${color}" fill-opacity="0.6" stroke="#555"/>` +
+      `<line x1="${(cx - boxWidth / 2).toFixed(1)}" x2="${(cx + boxWidth / 2).toFixed(1)}" y1="${y(q2).toFixed(1)}" y2="${y(q2).toFixed(1)}" stroke="#222" stroke-width="2"/>` +
+      outliers.map((v) => `<circle cx="${cx}" cy="${y(v).toFixed(1)}" r="2" fill="#555"/>`).join("") +
+      "</g>";
+  });
+  const xLabels = items.map((item, i) => ({ x: left + slot * (i + 0.5), text: item.label }));
+  return chartFrame({ yTicks, yScale: y, xLabels, body: body.join("") });
+}
+
+// Points drawn per series in run-order charts; longer series are reduced to bucket medians
+const MAX_SERIES_POINTS = 300;
+
+// [[n, value]] → at most MAX_SERIES_POINTS [n, median, label] (label names the bucketed range)
+function downsamplePoints(points) {
+  if (points.length <= MAX_SERIES_POINTS) return points.map(([n, v]) => [n, v, `#${n}`]);
+  const size = points.length / MAX_SERIES_POINTS;
+  const result = [];
+  for (let b = 0; b < MAX_SERIES_POINTS; b++) {
+    const bucket = points.slice(Math.floor(b * size), Math.floor((b + 1) * size));
+    if (bucket.length === 0) continue;
+    const first = bucket[0][0];
+    const last = bucket[bucket.length - 1][0];
+    result.push([Math.round((first + last) / 2), Math.round(median(bucket.map(([, v]) => v))), `#${first}–${last} median`]);
+  }
+  return result;
+}
+
+/**
+ * Values in run order (x = position in the run), one colored series per name — shows drift over time
+ */
+function timeSeriesSvg(series, total, unit = "ms") {
+  series = series.map((s) => ({ ...s, points: downsamplePoints(s.points) }));
+  const all = series.flatMap((s) => s.points.map(([, v]) => v));
+  if (all.length === 0) return "<p>No data</p>";
+  const { top, right, bottom, left } = CHART_PADDING;
+  const yTicks = niceTicks(minOf(all), maxOf(all));
+  const x = linearScale(1, Math.max(2, total), left, CHART_WIDTH - right);
+  const y = linearScale(yTicks[0], yTicks[yTicks.length - 1], CHART_HEIGHT - bottom, top);
+  const body = series.map((s, i) => {
+    const path = s.points.map(([n, v], k) => `${k ? "L" : "M"}${x(n).toFixed(1)},${y(v).toFixed(1)}`).join("");
+    const dots = s.points
+      .map(([n, v, label]) => `<circle cx="${x(n).toFixed(1)}" cy="${y(v).toFixed(1)}" r="2.5" fill="${colorFor(i)}"><title>${escapeHtml(s.name)} ${label}: ${v}${unit}</title></circle>`)
+      .join("");
+    return `<path d="${path}" fill="none" stroke="${colorFor(i)}" stroke-opacity="0.5"/>${dots}`;
+  });
+  const xLabels = niceTicks(1, total, 8)
+    .filter((t) => t >= 1 && t <= total && Number.isInteger(t))
+    .map((t) => ({ x: x(t), text: `#${t}` }));
+  return legendHtml(series.map((s) => s.name)) + chartFrame({ yTicks, yScale: y, xLabels, body: body.join("") });
+}
+
+function htmlTable(header, rows) {
+  const head = `<tr>${header.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr>`;
+  const body = rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell ?? "")}</td>`).join("")}</tr>`);
+  return `<table>${head}${body.join("")}</table>`;
+}
+
+function renderHtml({ title, meta, sections }) {
+  const metaLine = [
+    `generated ${new Date().toISOString()}`,
+    `city ${(meta && meta.city) || "n/a"}`,
+    `geo ${(meta && meta.city_geo) || "n/a"}`,
+    ...(meta && meta.scenario ? [`scenario ${meta.scenario}`] : []),
+  ].join(" · ");
+  const content = sections.map(({ heading, html }) => `<h2>${escapeHtml(heading)}</h2>${html}`).join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(metaLine)}</div>
+${content}
+</body>
+</html>
+`;
+}
+
+function valuesOf(records, field) {
+  return records.map((r) => r[field]).filter((v) => v != null);
+}
+
+function runSummaryTable(summary) {
+  const ciLabel = `${Math.round(summary.confidence * 100)}% CI`;
+  const header = [
+    "variant", "runs", "median", "p90", "stddev", "avg/img", "fcp", "lcp", "cls", "load", "transfer",
+    "cache hit", "errors", "improvement", ciLabel, "p-value",
+  ];
+  const rows = summary.variants.map((s) => {
+    const isBaseline = s.variant === summary.baseline;
+    return [
+      isBaseline ? `${s.variant} (baseline)` : s.variant,
+      s.runs,
+      formatMs(s.median),
+      formatMs(s.p90),
+      formatMs(s.stddev),
+      formatMs(s.avgImg),
+      formatMs(s.fcp),
+      formatMs(s.lcp),
+      formatCls(s.cls),
+      formatMs(s.load),
+      formatBytes(s.transferBytes),
+      s.cacheHitRatio != null ? `${(s.cacheHitRatio * 100).toFixed(1)}%` : "n/a",
+      s.errors,
+      isBaseline ? "-" : formatPercent(s.improvementMedian),
+      isBaseline ? "-" : formatCi(s.medianCi),
+      isBaseline ? "-" : formatPValue(s.pValue),
+    ];
+  });
+  return htmlTable(header, rows);
+}
+
+/**
+ * HTML report for `run`: summary table per group, images_ms histograms per variant,
+ * box plots per page × variant, run-order time series
+ */
+async function saveRunHtml({ outputPath, records, summaries, meta }) {
+  const variants = (meta && meta.variants) || listVariants(records);
+  const sections = [];
+
+  sections.push({
+    heading: "Summary",
+    html: summaries
+      .map(({ group, summary }) => (summaries.length > 1 ? `<h3>${escapeHtml(groupLabel(group))}</h3>` : "") + runSummaryTable(summary))
+      .join(""),
+  });
+
+  sections.push({
+    heading: "images_ms distribution",
+    html: histogramSvgs(variants.map((variant) => ({
+      name: variant,
+      values: valuesOf(records.filter((r) => r.variant === variant), "images_loaded_ms"),
+    }))),
+  });
+
+  const pages = [...new Set(records.map((r) => r.page_id))];
+  const boxes = [];
+  for (const page of pages) {
+    variants.forEach((variant, i) => {
+      boxes.push({
+        label: pages.length > 1 ? `${page}/${variant}` : variant,
+        color: colorFor(i),
+        values: valuesOf(records.filter((r) => r.page_id === page && r.variant === variant), "images_loaded_ms"),
+      });
+    });
+  }
+  sections.push({ heading: "images_ms per page", html: legendHtml(variants) + boxPlotSvg(boxes) });
+
+  const workerStats = computeWorkerStats(records);
+  if (workerStats.length > 0) {
+    sections.push({
+      heading: "images_ms per worker",
+      html: htmlTable(
+        ["worker", "runs", "median", "p90", "errors"],
+        workerStats.map((w) => [w.worker, w.runs, formatMs(w.median), formatMs(w.p90), w.errors])
+      ) + boxPlotSvg(workerStats.map((w) => ({
+        label: `worker ${w.worker}`,
+        values: valuesOf(records.filter((r) => r.worker === w.worker), "images_loaded_ms"),
+      }))),
+    });
+  }
+
+  sections.push({
+    heading: "images_ms in run order",
+    html: timeSeriesSvg(
+      variants.map((variant) => ({
+        name: variant,
+        points: records
+          .map((r, i) => [i + 1, r])
+          .filter(([, r]) => r.variant === variant && r.images_loaded_ms != null)
+          .map(([n, r]) => [n, r.images_loaded_ms]),
+      })),
+      records.length
+    ),
+  });
+
+  await fs.promises.writeFile(outputPath, renderHtml({ title: `CDN benchmark ${meta && meta.scenario ? meta.scenario : ""}`.trim(), meta, sections }));
+}
+
+/**
+ * HTML report for `image`: stats table, total/TTFB histograms, run-order time series
+ * (one series per target × Accept profile)
+ */
+async function saveImageHtml({ outputPath, url, records, stats, meta }) {
+  const header = ["metric", "mean", "p50", "p95", "p99", "stddev", "errors"];
+  const named = (g, metric) => [matrixName(g), metric].filter(Boolean).join(" ");
+  const rows = stats.flatMap((g) => [
+    [named(g, "total"), g.total_mean_ms, g.total_p50_ms, g.total_p95_ms, g.total_p99_ms, g.total_stddev_ms].map((v, i) => (i ? formatMs(v) : v)).concat(g.errors),
+    [named(g, "ttfb"), g.ttfb_mean_ms, g.ttfb_p50_ms, g.ttfb_p95_ms, g.ttfb_p99_ms, null].map((v, i) => (i ? formatMs(v) : v)).concat(g.errors),
+  ]);
+  const series = stats.flatMap((g) => ["total", "ttfb"].map((metric) => ({
+    name: named(g, metric),
+    field: `${metric}_ms`,
+    group: g,
+  })));
+  const sections = [
+    { heading: "Summary", html: `<p>${escapeHtml(url)}</p>${htmlTable(header, rows)}` },
+    {
+      heading: "Distribution",
+      html: histogramSvgs(series.map(({ name, field, group }) => ({
+        name,
+        values: valuesOf(records.filter((r) => inMatrixGroup(r, group)), field),
+      }))),
+    },
+    {
+      heading: "Run order",
+      html: timeSeriesSvg(
+        series.map(({ name, field, group }) => ({
+          name,
+          points: records
+            .map((r, i) => [i + 1, r])
+            .filter(([, r]) => inMatrixGroup(r, group) && r[field] != null)
+            .map(([n, r]) => [n, r[field]]),
+        })),
+        records.length
+      ),
+    },
+  ];
+  await fs.promises.writeFile(outputPath, renderHtml({ title: "Image benchmark", meta, sections }));
+}
+
+/**
+ * HTML report for `urls`: stats table, box plot and run-order time series per URL × target × Accept profile
+ */
+async function saveUrlsHtml({ outputPath, records, stats, meta }) {
+  const header = URL_STATS_COLUMNS.map(([name]) => name).filter((name) => name !== "city" && name !== "city_geo");
+  const rows = stats.map((u) => URL_STATS_COLUMNS.filter(([name]) => header.includes(name)).map(([, pick]) => pick(u)));
+  const labels = stats.map((u, i) => `#${i + 1}`);
+  const rowRecords = (u) => records.filter((r) => r.url === u.url && inMatrixGroup(r, u));
+  const sections = [
+    { heading: "Summary", html: htmlTable(["#", ...header], rows.map((row, i) => [labels[i], ...row])) },
+    {
+      heading: "total_ms per URL",
+      html: boxPlotSvg(stats.map((u, i) => ({ label: labels[i], values: valuesOf(rowRecords(u), "total_ms") }))),
+    },
+    {
+      heading: "total_ms in run order",
+      html: timeSeriesSvg(
+        stats.map((u, i) => ({
+          name: [labels[i], u.url, matrixName(u)].filter(Boolean).join(" "),
+          points: records
+            .map((r, n) => [n + 1, r])
+            .filter(([, r]) => r.url === u.url && inMatrixGroup(r, u) && r.total_ms != null)
+            .map(([n, r]) => [n, r.total_ms]),
+        })),
+        records.length
+      ),
+    },
+  ];
+  await fs.promises.writeFile(outputPath, renderHtml({ title: "URL list benchmark", meta, sections }));
+}
+
 module.exports = {
+  csvCell,
+  parseCsv,
   saveReport,
   computeSummary,
+  groupRecords,
+  groupLabel,
   printSummary,
+  imageTimingRows,
+  saveImageTimings,
+  computeWorkerStats,
+  matrixName,
   computeImageStats,
+  computeUrlStats,
+  saveUrlsReport,
+  computeBatchStats,
+  saveBatchReport,
+  printBatchSummary,
+  saveRunHtml,
+  saveImageHtml,
+  saveUrlsHtml,
 };
@@ -0,0 +1,83 @@
+/**
+ * Machine-readable results: versioned JSON / NDJSON with run metadata, raw records and summary
+ */
+
+const fs = require("fs");
+const { version: TOOL_VERSION } = require("../package.json");
+
+const RESULT_SCHEMA = "cdntest.result";
+// Bump on incompatible changes of the document layout or record fields
+const RESULT_SCHEMA_VERSION = 1;
+const RESULT_FORMATS = ["csv", "json", "ndjson"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv",
+  json: "application/json",
+  ndjson: "application/x-ndjson",
+};
+
+/**
+ * Parse --format: comma-separated and/or repeated values, e.g. "csv,json"
+ */
+function parseFormats(value) {
+  const list = (Array.isArray(value) ? value : [value || "csv"])
+    .flatMap((entry) => String(entry).split(","))
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  for (const format of list) {
+    if (!RESULT_FORMATS.includes(format)) {
+      throw new Error(`Unknown format: ${format} (${RESULT_FORMATS.join(", ")})`);
+    }
+  }
+  return list.length ? [...new Set(list)] : ["csv"];
+}
+
+function resultHeader(command, runId, meta) {
+  return {
+    schema: RESULT_SCHEMA,
+    schema_version: RESULT_SCHEMA_VERSION,
+    tool_version: TOOL_VERSION,
+    command,
+    run_id: runId,
+    generated_at: new Date().toISOString(),
+    meta: meta || {},
+  };
+}
+
+/**
+ * Write <basePath>.json and/or <basePath>.ndjson for the requested formats (csv is written by the
+ * command itself). JSON: one document { schema, ..., records, summary }. NDJSON: a "meta" line,
+ * one "record" line per raw record, a "summary" line. Returns [{ path, format, contentType }].
+ */
+async function saveResults({ basePath, formats, command, runId, meta, records, summary }) {
+  const written = [];
+  const header = resultHeader(command, runId, meta);
+
+  if (formats.includes("json")) {
+    const outputPath = `${basePath}.json`;
+    await fs.promises.writeFile(outputPath, `${JSON.stringify({ ...header, records, summary }, null, 2)}\n`);
+    written.push({ path: outputPath, format: "json", contentType: CONTENT_TYPES.json });
+  }
+
+  if (formats.includes("ndjson")) {
+    const outputPath = `${basePath}.ndjson`;
+    const lines = [
+      JSON.stringify({ type: "meta", ...header }),
+      ...records.map((record) => JSON.stringify({ type: "record", ...record })),
+      JSON.stringify({ type: "summary", summary }),
+    ];
+    await fs.promises.writeFile(outputPath, `${lines.join("\n")}\n`);
+    written.push({ path: outputPath, format: "ndjson", contentType: CONTENT_TYPES.ndjson });
+  }
+
+  return written;
+}
+
+module.exports = {
+  RESULT_SCHEMA,
+  RESULT_SCHEMA_VERSION,
+  RESULT_FORMATS,
+  CONTENT_TYPES,
+  parseFormats,
+  saveResults,
+};
@@ -0,0 +1,129 @@
+/**
+ * Benchmark scenarios: pages × variants matrix for the run command (JSON/YAML)
+ */
+
+const { toNonEmptyString, parseHostPatterns, readDataFile } = require("./utils");
+
+const DEFAULT_SCENARIO = {
+  name: "cdntest",
+  variants: ["origin", "cdn"],
+  baseline: "origin",
+  url_template: "{base_url}/cdntest/{page}/{variant}/index.html",
+  pages: [{ id: "page1" }, { id: "page2" }, { id: "page3" }],
+};
+
+function expandTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!(key in vars)) throw new Error(`Unknown placeholder ${match} in ${template}`);
+    return vars[key];
+  });
+}
+
+function toPositiveInt(value, label) {
+  if (value == null) return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num <= 0) throw new Error(`${label} must be a positive integer`);
+  return num;
+}
+
+/**
+ * Resolve raw scenario data into pages with a concrete URL per variant.
+ * Page-level values win over scenario-level ones, which win over defaults.
+ */
+function resolveScenario(raw, { baseUrl, repeats, imageHosts }) {
+  if (!raw || typeof raw !== "object") throw new Error("Scenario must be an object");
+  const name = toNonEmptyString(raw.name) || "scenario";
+  const variants = Array.isArray(raw.variants) && raw.variants.length > 0
+    ? raw.variants.map(String)
+    : DEFAULT_SCENARIO.variants;
+  // Variant names become CSV column prefixes (<variant>_median)
+  const invalid = variants.find((variant) => !/^[A-Za-z0-9_-]+$/.test(variant));
+  if (invalid != null) {
+    throw new Error(`Scenario ${name}: invalid variant name "${invalid}" (letters, digits, _ and - only)`);
+  }
+  if (new Set(variants).size !== variants.length) {
+    throw new Error(`Scenario ${name}: duplicate variants`);
+  }
+  const baseline = toNonEmptyString(raw.baseline) || (variants.includes("origin") ? "origin" : variants[0]);
+  if (!variants.includes(baseline)) {
+    throw new Error(`Scenario ${name}: baseline ${baseline} is not one of the variants`);
+  }
+  if (!Array.isArray(raw.pages) || raw.pages.length === 0) {
+    throw new Error(`Scenario ${name}: no pages`);
+  }
+
+  const scenarioBaseUrl = toNonEmptyString(raw.base_url) || baseUrl;
+  const scenarioRepeats = toPositiveInt(raw.repeats, `Scenario ${name}: repeats`) || repeats;
+  const scenarioHosts = raw.image_hosts != null ? parseHostPatterns(raw.image_hosts) : imageHosts;
+
+  const seenIds = new Set();
+  const pages = raw.pages.map((page, index) => {
+    const entry = typeof page === "string" ? { id: page } : page;
+    const id = toNonEmptyString(entry && entry.id);
+    if (!id) throw new Error(`Scenario ${name}: page #${index + 1} has no id`);
+    if (seenIds.has(id)) throw new Error(`Scenario ${name}: duplicate page ${id}`);
+    seenIds.add(id);
+
+    const pageBaseUrl = toNonEmptyString(entry.base_url) || scenarioBaseUrl;
+    const template = toNonEmptyString(entry.url_template) || toNonEmptyString(raw.url_template);
+    const explicit = entry.urls || {};
+    const urls = {};
+    for (const variant of variants) {
+      const url = toNonEmptyString(explicit[variant]);
+      if (url) {
+        urls[variant] = expandTemplate(url, { base_url: pageBaseUrl, page: id, variant });
+      } else if (template) {
+        urls[variant] = expandTemplate(template, { base_url: pageBaseUrl, page: id, variant });
+      } else {
+        throw new Error(`Scenario ${name}: page ${id} has no URL for variant ${variant}`);
+      }
+      if (!/^https?:\/\//i.test(urls[variant])) {
+        throw new Error(`Scenario ${name}: page ${id} ${variant} URL must be http(s): ${urls[variant]}`);
+      }
+    }
+
+    return {
+      id,
+      urls,
+      repeats: toPositiveInt(entry.repeats, `Scenario ${name}: page ${id} repeats`) || scenarioRepeats,
+      imageHosts: entry.image_hosts != null ? parseHostPatterns(entry.image_hosts) : scenarioHosts,
+    };
+  });
+
+  return { name, variants, baseline, pages };
+}
+
+/**
+ * Load scenario from file, or the built-in cdntest layout when no path is given.
+ * Explicit CLI values in `overrides` (baseUrl, baseline, repeats, imageHosts) beat the scenario file.
+ */
+async function loadScenario(filePath, { baseUrl, repeats, imageHosts = [], overrides = {} }) {
+  const raw = { ...(filePath ? await readDataFile(filePath) : DEFAULT_SCENARIO) };
+  if (overrides.baseUrl != null) raw.base_url = overrides.baseUrl;
+  if (overrides.baseline != null) raw.baseline = overrides.baseline;
+  const scenario = resolveScenario(raw, { baseUrl, repeats, imageHosts });
+  if (overrides.repeats != null) {
+    for (const page of scenario.pages) page.repeats = overrides.repeats;
+  }
+  if (overrides.imageHosts != null) {
+    for (const page of scenario.pages) page.imageHosts = overrides.imageHosts;
+  }
+  return scenario;
+}
+
+function scenarioUrls(scenario) {
+  const urls = [];
+  for (const page of scenario.pages) {
+    for (const variant of scenario.variants) {
+      urls.push(page.urls[variant]);
+    }
+  }
+  return urls;
+}
+
+module.exports = {
+  DEFAULT_SCENARIO,
+  loadScenario,
+  resolveScenario,
+  scenarioUrls,
+};
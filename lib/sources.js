@@ -0,0 +1,211 @@
+/**
+ * URL sources for urls/verify/compare: plain lists (http(s), local file, stdin), sitemaps
+ * (including image sitemaps and sitemap indexes) and <img>/srcset URLs crawled from a page
+ */
+
+const fs = require("fs");
+const zlib = require("zlib");
+const { requestBuffer } = require("./http");
+
+// Nested sitemap indexes are followed this deep
+const MAX_SITEMAP_DEPTH = 2;
+
+function dedupe(urls) {
+  return [...new Set(urls)];
+}
+
+function validateUrls(urls, origin) {
+  for (const url of urls) {
+    if (!/^https?:\/\//i.test(url)) throw new Error(`Invalid URL: ${url}${origin ? ` (${origin})` : ""}`);
+  }
+  if (urls.length === 0) throw new Error(`No URLs found in ${origin || "list"}`);
+  return dedupe(urls);
+}
+
+/**
+ * Text list: one URL per line, blank lines and # comments skipped
+ */
+function parseUrlList(data, origin) {
+  const urls = [];
+  for (const line of data.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    urls.push(trimmed);
+  }
+  return validateUrls(urls, origin);
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g");
+  return [...xml.matchAll(pattern)].map((match) => decodeXml(match[1]));
+}
+
+function isSitemap(text) {
+  return /<(urlset|sitemapindex)[\s>]/.test(text.slice(0, 2000));
+}
+
+/**
+ * Sitemap XML: { type: "index", sitemaps } for a sitemap index, otherwise
+ * { type: "urlset", pages, images } (images from <image:loc> of image sitemaps)
+ */
+function parseSitemap(xml) {
+  if (/<sitemapindex[\s>]/.test(xml)) {
+    const entries = [...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/g)].flatMap((match) => xmlValues(match[1], "loc"));
+    return { type: "index", sitemaps: entries };
+  }
+  const pages = [...xml.matchAll(/<url>([\s\S]*?)<\/url>/g)].flatMap((match) => xmlValues(match[1], "loc"));
+  return { type: "urlset", pages, images: xmlValues(xml, "image:loc") };
+}
+
+function decodeHtml(text) {
+  return text
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function htmlAttributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+    attrs[match[1].toLowerCase()] = decodeHtml(match[2] ?? match[3] ?? match[4]);
+  }
+  return attrs;
+}
+
+// Candidate URLs per the HTML srcset rules: commas inside a URL ("w_100,h_50") are kept,
+// a comma right after a URL or after its descriptors ends the candidate
+function srcsetUrls(srcset) {
+  const urls = [];
+  let i = 0;
+  while (i < srcset.length) {
+    while (i < srcset.length && /[\s,]/.test(srcset[i])) i++;
+    const start = i;
+    while (i < srcset.length && !/\s/.test(srcset[i])) i++;
+    let url = srcset.slice(start, i);
+    if (url.endsWith(",")) {
+      url = url.replace(/,+$/, "");
+    } else {
+      // Descriptors ("1x", "100w"), up to the next comma outside parentheses
+      let depth = 0;
+      for (; i < srcset.length; i++) {
+        const ch = srcset[i];
+        if (ch === "(") depth++;
+        else if (ch === ")") depth = Math.max(0, depth - 1);
+        else if (ch === "," && depth === 0) break;
+      }
+    }
+    if (url) urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * Image URLs of an HTML page: <img src/srcset> and <source srcset> (inside <picture>),
+ * resolved against <base href> or the page URL; data: and other non-http(s) URLs are skipped
+ */
+function extractPageImages(html, pageUrl) {
+  const base = html.match(/<base\b[^>]*>/i);
+  const baseHref = base && htmlAttributes(base[0]).href;
+  const baseUrl = baseHref ? new URL(baseHref, pageUrl).toString() : pageUrl;
+  const found = [];
+  for (const match of html.matchAll(/<(img|source)\b[^>]*>/gi)) {
+    const attrs = htmlAttributes(match[0]);
+    if (match[1].toLowerCase() === "img" && attrs.src) found.push(attrs.src);
+    if (attrs.srcset) found.push(...srcsetUrls(attrs.srcset));
+  }
+  const urls = [];
+  for (const value of found) {
+    try {
+      const url = new URL(value.trim(), baseUrl);
+      if (url.protocol === "http:" || url.protocol === "https:") urls.push(url.toString());
+    } catch {
+      // Not a URL
+    }
+  }
+  return dedupe(urls);
+}
+
+function decodeBody(body) {
+  // Sitemaps are often served as .xml.gz
+  const data = body.length > 2 && body[0] === 0x1f && body[1] === 0x8b ? zlib.gunzipSync(body) : body;
+  return data.toString("utf8");
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function readSource(source, timeoutMs) {
+  if (source === "-") return decodeBody(await readStdin());
+  if (/^https?:\/\//i.test(source)) {
+    const res = await requestBuffer(source, timeoutMs);
+    if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`${source}: HTTP ${res.statusCode}`);
+    return decodeBody(res.body);
+  }
+  try {
+    return decodeBody(await fs.promises.readFile(source));
+  } catch (error) {
+    if (error.code === "ENOENT") throw new Error(`URL list not found: ${source}`);
+    throw error;
+  }
+}
+
+async function loadSitemapUrls(xml, origin, timeoutMs, depth) {
+  const sitemap = parseSitemap(xml);
+  if (sitemap.type === "urlset") {
+    // Image sitemap: benchmark the images, not the pages
+    return sitemap.images.length ? sitemap.images : sitemap.pages;
+  }
+  if (depth >= MAX_SITEMAP_DEPTH) throw new Error(`${origin}: sitemap index nested too deep`);
+  const urls = [];
+  for (const child of validateUrls(sitemap.sitemaps, origin)) {
+    urls.push(...(await loadSitemapUrls(await readSource(child, timeoutMs), child, timeoutMs, depth + 1)));
+  }
+  return urls;
+}
+
+/**
+ * URL list from a source: http(s) URL, local path or "-" (stdin); text list or sitemap XML
+ * (detected by content). Result is validated and de-duplicated.
+ */
+async function loadUrlList(source, { timeoutMs = 30000 } = {}) {
+  const origin = source === "-" ? "stdin" : source;
+  const text = await readSource(source, timeoutMs);
+  if (!isSitemap(text)) return parseUrlList(text, origin);
+  return validateUrls(await loadSitemapUrls(text, origin, timeoutMs, 0), origin);
+}
+
+/**
+ * Image URLs found on a page (see extractPageImages)
+ */
+async function crawlPageImages(pageUrl, { timeoutMs = 30000 } = {}) {
+  if (!/^https?:\/\//i.test(pageUrl)) throw new Error(`Invalid page URL: ${pageUrl}`);
+  const res = await requestBuffer(pageUrl, timeoutMs, { accept: "text/html" });
+  if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`${pageUrl}: HTTP ${res.statusCode}`);
+  return validateUrls(extractPageImages(decodeBody(res.body), pageUrl), pageUrl);
+}
+
+module.exports = {
+  parseUrlList,
+  parseSitemap,
+  extractPageImages,
+  loadUrlList,
+  crawlPageImages,
+};
@@ -0,0 +1,68 @@
+/**
+ * Network throttling profiles for the browser benchmark (applied via CDP on Chromium)
+ */
+
+const { toNonEmptyString } = require("./utils");
+
+// latency in ms, throughput in kbit/s
+const THROTTLE_PROFILES = {
+  none: null,
+  "slow-3g": { latencyMs: 400, downloadKbps: 400, uploadKbps: 400 },
+  "fast-3g": { latencyMs: 150, downloadKbps: 1600, uploadKbps: 750 },
+  "4g": { latencyMs: 40, downloadKbps: 9000, uploadKbps: 9000 },
+  cable: { latencyMs: 28, downloadKbps: 5000, uploadKbps: 1000 },
+};
+
+function toConditions(raw, label) {
+  const conditions = {
+    latencyMs: Number(raw.latency_ms ?? raw.latencyMs),
+    downloadKbps: Number(raw.download_kbps ?? raw.downloadKbps),
+    uploadKbps: Number(raw.upload_kbps ?? raw.uploadKbps),
+  };
+  for (const [key, value] of Object.entries(conditions)) {
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Throttle profile ${label}: invalid ${key}`);
+  }
+  return conditions;
+}
+
+/**
+ * Parse a comma-separated list of profiles. Each entry is a built-in name, a name from
+ * config `throttle_profiles`, or an inline `<latencyMs>:<downloadKbps>:<uploadKbps>` spec.
+ */
+function parseThrottleProfiles(value, customProfiles = {}) {
+  const names = String(value || "none").split(",").map((e) => e.trim()).filter(Boolean);
+  if (names.length === 0) names.push("none");
+
+  const profiles = names.map((name) => {
+    if (customProfiles && customProfiles[name]) {
+      return { name, conditions: toConditions(customProfiles[name], name) };
+    }
+    if (name in THROTTLE_PROFILES) {
+      return { name, conditions: THROTTLE_PROFILES[name] };
+    }
+    const inline = name.split(":");
+    if (inline.length === 3) {
+      const [latencyMs, downloadKbps, uploadKbps] = inline;
+      return { name, conditions: toConditions({ latencyMs, downloadKbps, uploadKbps }, name) };
+    }
+    const known = [...Object.keys(THROTTLE_PROFILES), ...Object.keys(customProfiles || {})];
+    throw new Error(`Unknown throttle profile: ${name} (known: ${known.join(", ")})`);
+  });
+
+  if (new Set(profiles.map((p) => p.name)).size !== profiles.length) {
+    throw new Error("Duplicate throttle profiles");
+  }
+  return profiles;
+}
+
+function describeThrottle(profile) {
+  if (!profile || !profile.conditions) return toNonEmptyString(profile && profile.name) || "none";
+  const { latencyMs, downloadKbps, uploadKbps } = profile.conditions;
+  return `${profile.name} (${latencyMs}ms, ↓${downloadKbps} ↑${uploadKbps} kbit/s)`;
+}
+
+module.exports = {
+  THROTTLE_PROFILES,
+  parseThrottleProfiles,
+  describeThrottle,
+};
@@ -3,6 +3,11 @@
  */
 
 const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+// Resource Timing phases of an image, averaged per run (browser) and reported as <phase>_ms
+const IMAGE_PHASES = ["dns", "connect", "tls", "wait", "download"];
 
 function median(values) {
   if (values.length === 0) return null;
@@ -20,6 +25,19 @@ function percentile(values, p) {
   return sorted[Math.max(0, Math.min(sorted.length - 1, idx))];
 }
 
+// Loops instead of Math.min(...values): spreading hundreds of thousands of values overflows the stack
+function minOf(values) {
+  let min = Infinity;
+  for (const v of values) if (v < min) min = v;
+  return min;
+}
+
+function maxOf(values) {
+  let max = -Infinity;
+  for (const v of values) if (v > max) max = v;
+  return max;
+}
+
 function mean(values) {
   if (values.length === 0) return null;
   return values.reduce((sum, v) => sum + v, 0) / values.length;
@@ -32,6 +50,78 @@ function stdDev(values) {
   return Math.sqrt(squareDiffs.reduce((sum, v) => sum + v, 0) / (values.length - 1));
 }
 
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided Mann-Whitney U test (normal approximation with tie correction)
+ */
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 < 2 || n2 < 2) return null;
+
+  const all = [
+    ...a.map((value) => ({ value, group: 0 })),
+    ...b.map((value) => ({ value, group: 1 })),
+  ].sort((x, y) => x.value - y.value);
+
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < all.length;) {
+    let j = i;
+    while (j + 1 < all.length && all[j + 1].value === all[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    const ties = j - i + 1;
+    if (ties > 1) tieTerm += ties * ties * ties - ties;
+    for (let k = i; k <= j; k++) {
+      if (all[k].group === 0) rankSumA += rank;
+    }
+    i = j + 1;
+  }
+
+  const n = n1 + n2;
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const meanU = (n1 * n2) / 2;
+  const varU = ((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1)));
+  if (varU <= 0) return { u, z: 0, p: 1 };
+  // Continuity correction
+  const diff = Math.abs(u - meanU) - 0.5;
+  const z = Math.max(0, diff) / Math.sqrt(varU);
+  return { u, z, p: Math.min(1, 2 * (1 - normalCdf(z))) };
+}
+
+function resample(values) {
+  const result = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    result[i] = values[Math.floor(Math.random() * values.length)];
+  }
+  return result;
+}
+
+/**
+ * Percentile bootstrap CI for statFn(a, b) over independent resamples of both groups
+ */
+function bootstrapCi(a, b, statFn, { iterations = 2000, confidence = 0.95 } = {}) {
+  if (a.length < 2 || b.length < 2) return null;
+  const estimates = [];
+  for (let i = 0; i < iterations; i++) {
+    const value = statFn(resample(a), resample(b));
+    if (value != null && Number.isFinite(value)) estimates.push(value);
+  }
+  if (estimates.length === 0) return null;
+  const alpha = (1 - confidence) / 2;
+  return [percentile(estimates, alpha), percentile(estimates, 1 - alpha)];
+}
+
 function improvement(originMs, cdnMs) {
   if (originMs == null || cdnMs == null || originMs === 0) return null;
   return ((originMs - cdnMs) / originMs) * 100;
@@ -69,6 +159,42 @@ async function withRetries(fn, attempts, backoffMs, onRetry) {
   throw lastError;
 }
 
+/**
+ * Run tasks with at most `concurrency` in flight and at most `perHost` per task.host.
+ * A worker skips tasks whose host is at the cap and waits only when nothing else is runnable.
+ */
+async function runTaskPool(tasks, { concurrency = 1, perHost = Infinity, runTask }) {
+  const queue = [...tasks];
+  const inFlight = new Map();
+  let waiters = [];
+  const wake = () => {
+    const pending = waiters;
+    waiters = [];
+    for (const resolve of pending) resolve();
+  };
+
+  async function worker() {
+    while (queue.length > 0) {
+      const index = queue.findIndex((task) => (inFlight.get(task.host) || 0) < perHost);
+      if (index < 0) {
+        await new Promise((resolve) => waiters.push(resolve));
+        continue;
+      }
+      const [task] = queue.splice(index, 1);
+      inFlight.set(task.host, (inFlight.get(task.host) || 0) + 1);
+      try {
+        await runTask(task);
+      } finally {
+        inFlight.set(task.host, inFlight.get(task.host) - 1);
+        wake();
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+}
+
 function makeRunId() {
   const d = new Date();
   const pad = (n) => String(n).padStart(2, "0");
@@ -100,6 +226,25 @@ function normalizeUrl(url) {
   return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
 }
 
+// Same defaults as bin/cdn-compare.sh
+const DEFAULT_CDN_HOST = "rucdn.mamba.ru";
+const DEFAULT_ORIGIN_HOST = "photo1.wambacdn.net";
+
+/**
+ * CDN/origin hosts for host-swap commands: explicit value > CDNTEST_CDN_HOST/CDNTEST_ORIGIN_HOST > defaults
+ */
+function resolveHostPair({ cdnHost, originHost } = {}) {
+  return {
+    cdnHost: toNonEmptyString(cdnHost) || toNonEmptyString(process.env.CDNTEST_CDN_HOST) || DEFAULT_CDN_HOST,
+    originHost: toNonEmptyString(originHost) || toNonEmptyString(process.env.CDNTEST_ORIGIN_HOST) || DEFAULT_ORIGIN_HOST,
+  };
+}
+
+// Replace the host (and port) of an http(s) URL, keeping scheme, path and query
+function swapHost(url, host) {
+  return url.replace(/^(https?:\/\/)[^/?#]+/i, `$1${host}`);
+}
+
 function cacheBustToken() {
   return `${Date.now()}${Math.floor(Math.random() * 1000000)}`;
 }
@@ -151,6 +296,19 @@ function loadEnvFile(filePath = ".env") {
   return result;
 }
 
+/**
+ * Read a JSON or YAML (by .yaml/.yml extension) data file
+ */
+async function readDataFile(filePath) {
+  const data = await fs.promises.readFile(filePath, "utf8");
+  const ext = path.extname(filePath).toLowerCase();
+  try {
+    return ext === ".yaml" || ext === ".yml" ? YAML.parse(data) : JSON.parse(data);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
 function parseHostPatterns(value) {
   if (!value) return [];
   const raw = Array.isArray(value) ? value.join(",") : String(value);
@@ -173,23 +331,33 @@ function shuffle(array) {
 }
 
 module.exports = {
+  IMAGE_PHASES,
   median,
   percentile,
+  minOf,
+  maxOf,
   mean,
   stdDev,
+  normalCdf,
+  mannWhitneyU,
+  bootstrapCi,
   improvement,
   formatMs,
   formatPercent,
   sleep,
   withRetries,
+  runTaskPool,
   makeRunId,
   parseBool,
   toNonEmptyString,
   normalizeBaseUrl,
   normalizeUrl,
+  resolveHostPair,
+  swapHost,
   cacheBustToken,
   appendCacheBust,
   loadEnvFile,
+  readDataFile,
   parseHostPatterns,
   hasCliArg,
   shuffle,
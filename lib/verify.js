@@ -0,0 +1,186 @@
+/**
+ * Content integrity check: the CDN must return the same image as origin
+ * (status, content-type, byte size, SHA-256, image dimensions)
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { requestBuffer } = require("./http");
+const { swapHost } = require("./utils");
+const { csvCell } = require("./report");
+
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function jpegDimensions(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    if (SOF_MARKERS.has(marker)) {
+      return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+    }
+    // Standalone markers have no length field
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      i += 2;
+      continue;
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+function webpDimensions(buf) {
+  const chunk = buf.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && buf.length >= 30) {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buf.length >= 30) {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// AVIF/HEIF: first `ispe` (image spatial extents) property
+function heifDimensions(buf) {
+  const index = buf.indexOf("ispe");
+  if (index < 0 || index + 16 > buf.length) return null;
+  return { width: buf.readUInt32BE(index + 8), height: buf.readUInt32BE(index + 12) };
+}
+
+/**
+ * Image format and pixel dimensions from the file header: { format, width, height } or null
+ */
+function imageDimensions(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.length >= 24) {
+    return { format: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.toString("ascii", 0, 4) === "GIF8") {
+    return { format: "gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    const size = jpegDimensions(buf);
+    return size ? { format: "jpeg", ...size } : null;
+  }
+  if (buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    const size = webpDimensions(buf);
+    return size ? { format: "webp", ...size } : null;
+  }
+  if (buf.toString("ascii", 4, 8) === "ftyp") {
+    const brand = buf.toString("ascii", 8, 12);
+    const size = heifDimensions(buf);
+    return size ? { format: brand.startsWith("avi") ? "avif" : "heif", ...size } : null;
+  }
+  return null;
+}
+
+function contentType(headers) {
+  const value = headers && headers["content-type"];
+  return value ? String(value).split(";")[0].trim().toLowerCase() : null;
+}
+
+async function fetchForVerify(url, timeoutMs) {
+  try {
+    const res = await requestBuffer(url, timeoutMs);
+    const size = imageDimensions(res.body);
+    return {
+      url,
+      statusCode: res.statusCode,
+      contentType: contentType(res.headers),
+      bytes: res.body.length,
+      sha256: crypto.createHash("sha256").update(res.body).digest("hex"),
+      dimensions: size ? `${size.width}x${size.height}` : null,
+      format: size ? size.format : null,
+      error: null,
+    };
+  } catch (error) {
+    return { url, statusCode: null, contentType: null, bytes: null, sha256: null, dimensions: null, format: null, error: error.message };
+  }
+}
+
+const COMPARED_FIELDS = [
+  ["status", "statusCode"],
+  ["content_type", "contentType"],
+  ["bytes", "bytes"],
+  ["sha256", "sha256"],
+  ["dimensions", "dimensions"],
+];
+
+function isServed(side) {
+  return !side.error && side.statusCode >= 200 && side.statusCode < 300;
+}
+
+/**
+ * Fetch the origin and CDN variants of a URL and compare them.
+ * status: "ok" (both 2xx and identical), "mismatch" (see `mismatches`) or "error" (a request
+ * failed or either host answered with a non-2xx status, e.g. both 404)
+ */
+async function verifyUrl(url, { originHost, cdnHost, timeoutMs = 30000 }) {
+  const [origin, cdn] = await Promise.all([
+    fetchForVerify(swapHost(url, originHost), timeoutMs),
+    fetchForVerify(swapHost(url, cdnHost), timeoutMs),
+  ]);
+  const mismatches = origin.error || cdn.error
+    ? []
+    : COMPARED_FIELDS.filter(([, field]) => origin[field] !== cdn[field]).map(([name]) => name);
+  const status = !isServed(origin) || !isServed(cdn) ? "error" : mismatches.length ? "mismatch" : "ok";
+  return { url, status, mismatches, origin, cdn };
+}
+
+const VERIFY_COLUMNS = [
+  ["url", (r) => r.url],
+  ["status", (r) => r.status],
+  ["mismatches", (r) => r.mismatches.join(";")],
+  ...["origin", "cdn"].flatMap((side) => [
+    [`${side}_url`, (r) => r[side].url],
+    [`${side}_status`, (r) => r[side].statusCode],
+    [`${side}_content_type`, (r) => r[side].contentType],
+    [`${side}_bytes`, (r) => r[side].bytes],
+    [`${side}_sha256`, (r) => r[side].sha256],
+    [`${side}_dimensions`, (r) => r[side].dimensions],
+    [`${side}_error`, (r) => r[side].error],
+  ]),
+];
+
+async function saveVerifyReport({ outputPath, results }) {
+  const lines = [VERIFY_COLUMNS.map(([name]) => name).join(",")];
+  for (const result of results) {
+    lines.push(VERIFY_COLUMNS.map(([, pick]) => csvCell(pick(result))).join(","));
+  }
+  await fs.promises.writeFile(outputPath, `${lines.join("\n")}\n`);
+}
+
+function printVerifySummary(results) {
+  const count = (status) => results.filter((r) => r.status === status).length;
+  console.log("");
+  console.log("=== VERIFY ===");
+  for (const r of results) {
+    if (r.status === "ok") continue;
+    const detail = r.status === "error"
+      ? `origin ${r.origin.error || r.origin.statusCode}, cdn ${r.cdn.error || r.cdn.statusCode}`
+      : r.mismatches
+        .map((name) => {
+          const field = COMPARED_FIELDS.find(([n]) => n === name)[1];
+          const short = (v) => (name === "sha256" && v ? v.slice(0, 12) : v ?? "n/a");
+          return `${name} ${short(r.origin[field])} → ${short(r.cdn[field])}`;
+        })
+        .join(", ");
+    console.log(`${r.status.toUpperCase()} ${r.url}: ${detail}`);
+  }
+  console.log(`ok ${count("ok")}, mismatch ${count("mismatch")}, error ${count("error")} of ${results.length}`);
+}
+
+module.exports = {
+  imageDimensions,
+  verifyUrl,
+  saveVerifyReport,
+  printVerifySummary,
+};
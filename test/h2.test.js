@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http2 = require("http2");
+const { createConnectionPool, fetchUrlMetrics } = require("../lib/http");
+
+test("h2 timeout leaves total_ms and download_ms empty", async () => {
+  // Headers and a first chunk right away, then the body stalls
+  const server = http2.createServer((req, res) => {
+    res.writeHead(200, { "content-type": "image/jpeg" });
+    res.write("x");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const connections = createConnectionPool("cold", { httpVersion: "2" });
+    const result = await fetchUrlMetrics(`http://127.0.0.1:${server.address().port}/slow.jpg`, 300, { connections });
+    connections.destroy();
+    assert.strictEqual(result.httpVersion, "2.0");
+    assert.strictEqual(result.timeout, true);
+    assert.strictEqual(result.error, "timeout");
+    assert.strictEqual(result.totalMs, null);
+    assert.strictEqual(result.downloadMs, null);
+  } finally {
+    server.close();
+  }
+});
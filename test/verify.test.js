@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { verifyUrl } = require("../lib/verify");
+
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await fn(server.address().port);
+  } finally {
+    server.close();
+  }
+}
+
+test("verify reports error when both hosts answer 404", async () => {
+  await withServer((req, res) => {
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("nope");
+  }, async (port) => {
+    const result = await verifyUrl("http://example.com/nothere.jpg", {
+      originHost: `127.0.0.1:${port}`,
+      cdnHost: `127.0.0.1:${port}`,
+      timeoutMs: 5000,
+    });
+    assert.strictEqual(result.origin.statusCode, 404);
+    assert.strictEqual(result.cdn.statusCode, 404);
+    assert.strictEqual(result.status, "error");
+  });
+});
+
+test("verify reports ok when both hosts serve the same image", async () => {
+  await withServer((req, res) => {
+    res.writeHead(200, { "content-type": "image/jpeg" });
+    res.end("same bytes");
+  }, async (port) => {
+    const result = await verifyUrl("http://example.com/a.jpg", {
+      originHost: `127.0.0.1:${port}`,
+      cdnHost: `127.0.0.1:${port}`,
+      timeoutMs: 5000,
+    });
+    assert.strictEqual(result.status, "ok");
+  });
+});